@@ -0,0 +1,192 @@
+/**
+ * Headless Keeper Bot
+ *
+ * Keeps the AutoMinerRegistry running without a browser: every epoch it
+ * mines for due auto-miners (registry mineBatch) and finalizes their
+ * matured requests (miner finalizeMinesFor), earning keeper tips/fees.
+ *
+ * Reuses the app's service layer, so it runs through vite-node:
+ *   KEEPER_PRIVATE_KEY=0x... npm run keeper
+ *
+ * Environment:
+ *   KEEPER_PRIVATE_KEY  Signing key (required)
+ *   KEEPER_RPC_URL      RPC endpoint, e.g. http://127.0.0.1:8545 for an Anvil/Hardhat fork
+ *   KEEPER_FROM_BLOCK   First block to scan for registrations (defaults to VITE_DEPLOY_BLOCK / lookback)
+ *   KEEPER_ONCE=1       Run a single pass and exit (also: --once)
+ */
+import { ethers } from 'ethers';
+import { getProvider, setRpcEndpoint, getUserDashboard, getLogScanStart } from '../src/services/contracts';
+import { getContractClient, waitForTransaction } from '../src/services/contractClient';
+import { getPendingMines } from '../src/services/mining';
+import { getRegisteredUsers, getDueUsers } from '../src/services/keeper';
+import { verifyDeployment } from '../src/services/deploymentCheck';
+import { EPOCH_SECONDS } from '../src/constants';
+import { KEEPER_LIMITS } from '../src/constants/limits';
+import logger from '../src/utils/logger';
+
+// Max mines finalized per user per pass (keeps gas per tx bounded)
+const MAX_FINALIZE_PER_USER = 10;
+// Wait this long past the epoch boundary before acting
+const EPOCH_BUFFER_SECONDS = 5;
+
+const runOnce = process.argv.includes('--once') || process.env.KEEPER_ONCE === '1';
+
+let stopping = false;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create the keeper wallet on the shared provider
+ * @returns {ethers.Wallet}
+ */
+function createWallet() {
+  const key = process.env.KEEPER_PRIVATE_KEY;
+  if (!key) {
+    logger.error('KEEPER_PRIVATE_KEY is not set');
+    process.exit(1);
+  }
+  if (process.env.KEEPER_RPC_URL) {
+    setRpcEndpoint(process.env.KEEPER_RPC_URL);
+  }
+  return new ethers.Wallet(key, getProvider());
+}
+
+/**
+ * Registered users, scanned incrementally across passes
+ */
+const knownUsers = new Set();
+let nextScanBlock = process.env.KEEPER_FROM_BLOCK ? Number(process.env.KEEPER_FROM_BLOCK) : undefined;
+
+async function refreshUsers() {
+  const head = await getProvider().getBlockNumber();
+  // Pin the first range so a failed first scan is retried from the same block
+  if (nextScanBlock === undefined) {
+    const start = getLogScanStart(head);
+    nextScanBlock = start.fromBlock;
+    if (start.partial) {
+      logger.warn('keeper:users scan partial - no deploy block configured, older registrations are skipped', {
+        fromBlock: nextScanBlock,
+        hint: 'set deployBlock in the manifest or KEEPER_FROM_BLOCK',
+      });
+    }
+  }
+  const result = await getRegisteredUsers(nextScanBlock, head);
+  if (!result) {
+    // Only move past a range that was actually scanned; the next pass retries it
+    logger.error('keeper:users scan failed', { fromBlock: nextScanBlock, toBlock: head });
+    return;
+  }
+  result.users.forEach((user) => knownUsers.add(user));
+  nextScanBlock = head + 1;
+  logger.info('keeper:users', { total: knownUsers.size, scannedTo: head });
+}
+
+/**
+ * Mine for every user the registry considers due this epoch
+ * @param {ethers.Wallet} wallet
+ * @param {number} epoch
+ */
+async function mineDueUsers(wallet, epoch) {
+  const due = await getDueUsers([...knownUsers], epoch);
+  logger.info('keeper:due', { epoch, count: due.length });
+
+  const registry = getContractClient('registry');
+  for (let i = 0; i < due.length; i += KEEPER_LIMITS.MAX_BATCH_USERS) {
+    const batch = due.slice(i, i + KEEPER_LIMITS.MAX_BATCH_USERS).map(({ user }) => user);
+    try {
+      const hash = await registry.write('mineBatch', [batch], { signer: wallet });
+      logger.tx('keeper:mineBatch:sent', { hash, users: batch.length });
+      const receipt = await waitForTransaction(hash);
+      logger.tx('keeper:mineBatch:mined', { hash, status: receipt.status, gasUsed: receipt.gasUsed });
+    } catch (error) {
+      logger.error('keeper:mineBatch failed', error);
+    }
+  }
+}
+
+/**
+ * Finalize matured mine requests for known users
+ * @param {ethers.Wallet} wallet
+ */
+async function finalizePending(wallet) {
+  const miner = getContractClient('miner');
+
+  for (const user of knownUsers) {
+    if (stopping) return;
+    const pending = await getPendingMines(user);
+    if (pending <= 0) continue;
+
+    const count = Math.min(pending, MAX_FINALIZE_PER_USER);
+    let gasLimit;
+    try {
+      // Estimation doubles as simulation: immature requests (MIN_FINALIZE_DELAY) or a full epoch cap revert here
+      const estimate = await miner.estimateGas('finalizeMinesFor', [user, count], { from: wallet.address });
+      if (!estimate.fits) throw new Error('gas limit exceeds block bound');
+      gasLimit = estimate.gasLimit;
+    } catch (error) {
+      logger.debug('keeper:finalize skipped', { user, pending, reason: error.message });
+      continue;
+    }
+
+    try {
+      const hash = await miner.write('finalizeMinesFor', [user, count], { gasLimit, signer: wallet });
+      logger.tx('keeper:finalize:sent', { hash, user, count });
+      const receipt = await waitForTransaction(hash);
+      logger.tx('keeper:finalize:mined', { hash, status: receipt.status, gasUsed: receipt.gasUsed });
+    } catch (error) {
+      logger.error('keeper:finalize failed', error);
+    }
+  }
+}
+
+async function main() {
+  const wallet = createWallet();
+
+  // Same boot check as the UI: never send transactions to a miswired deployment
+  const deployment = await verifyDeployment();
+  if (deployment.status === 'misconfigured') {
+    logger.error('keeper:misconfigured', deployment.checks.filter((c) => !c.ok));
+    process.exit(1);
+  }
+  const network = await getProvider().getNetwork();
+  const balance = await getProvider().getBalance(wallet.address);
+  logger.info('keeper:start', {
+    keeper: wallet.address,
+    chainId: Number(network.chainId),
+    balance: ethers.formatEther(balance),
+    once: runOnce,
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('keeper:stopping');
+    stopping = true;
+  });
+
+  while (!stopping) {
+    let nextPassAt = Date.now() + EPOCH_SECONDS * 1000;
+    try {
+      // getUserDashboard is cheap and gives both the epoch and time left in it
+      const dashboard = await getUserDashboard(wallet.address);
+      if (!dashboard) throw new Error('Could not read current epoch');
+      nextPassAt = Date.now() + (dashboard.epochSecondsRemaining + EPOCH_BUFFER_SECONDS) * 1000;
+
+      await refreshUsers();
+      await mineDueUsers(wallet, dashboard.currentEpoch);
+      await finalizePending(wallet);
+    } catch (error) {
+      logger.error('keeper:pass failed', error);
+    }
+
+    if (runOnce) break;
+    logger.info('keeper:sleep', { seconds: Math.max(0, Math.round((nextPassAt - Date.now()) / 1000)) });
+    while (Date.now() < nextPassAt && !stopping) {
+      await sleep(1000);
+    }
+  }
+
+  logger.info('keeper:stopped');
+}
+
+main().catch((error) => {
+  logger.error('keeper:fatal', error);
+  process.exit(1);
+});
@@ -1,14 +1,33 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { useAccount, useBalance, useWalletClient, useWaitForTransactionReceipt } from 'wagmi';
+import { useAccount, useBalance, useWalletClient } from 'wagmi';
 import { ethers } from 'ethers';
-import { getUserDashboard, getClaimableEpochsBatch, fetchBonusOverview, setWalletClient } from './services/contracts';
-import { getTicketPrice, getPendingMines, checkMiningEligibility, calculateCost } from './services/mining';
+import { getEpochParams, getJackpotHistory, setWalletClient } from './services/contracts';
+import { checkMiningEligibility, calculateCost } from './services/mining';
+import { loadDashboardSnapshot } from './services/snapshot';
+import { planClaimBatches } from './services/gas';
+import { summarizeEvents, getSettlementError } from './services/txTracker';
 import { useMining } from './hooks/useMining';
+import { useAutoFinalize } from './hooks/useAutoFinalize';
+import { useTxPreview } from './hooks/useTxPreview';
+import { useTransactions } from './hooks/useTransactions';
 import BonusDisplay from './components/BonusDisplay';
 import TestnetFaucet from './components/TestnetFaucet';
 import WalletHelp from './components/WalletHelp';
 import ConnectionStatus from './components/ConnectionStatus';
+import AutoMinePanel from './components/AutoMinePanel';
+import KeeperConsole from './components/KeeperConsole';
+import ClaimBreakdown from './components/ClaimBreakdown';
+import ClaimExpiryWarning from './components/ClaimExpiryWarning';
+import ClaimHistory from './components/ClaimHistory';
+import MineRequestInspector from './components/MineRequestInspector';
+import AutoFinalizeControl from './components/AutoFinalizeControl';
+import GiftMine from './components/GiftMine';
+import TxConfirmSheet from './components/TxConfirmSheet';
+import TxDrawer from './components/TxDrawer';
+import RpcStatus from './components/RpcStatus';
+import NetworkSwitcher from './components/NetworkSwitcher';
+import RewardPoolShortfall from './components/RewardPoolShortfall';
 import { CONFIG, EPOCH_SECONDS } from './constants';
 import { MINING_LIMITS, ERROR_MESSAGES } from './constants/limits';
 import { validateEthInput, sanitizeError } from './utils/validation';
@@ -33,12 +52,10 @@ export default function App() {
   
   // Wagmi mining hook - handles all wallet types reliably
   const mining = useMining();
-  const [pendingTxHash, setPendingTxHash] = useState(null);
-  
-  // Wait for transaction confirmation
-  const { isLoading: isTxConfirming, isSuccess: isTxConfirmed } = useWaitForTransactionReceipt({
-    hash: pendingTxHash,
-  });
+  // Pre-flight simulation + confirmation sheet for every write
+  const txPreview = useTxPreview();
+  // Persisted tx queue - handlers await receipts and read the decoded events
+  const txTracker = useTransactions();
   
   // Timer and epoch state
   const [timeRemaining, setTimeRemaining] = useState(180);
@@ -49,8 +66,9 @@ export default function App() {
   const [bonusOverview, setBonusOverview] = useState(null);
   const [claimableData, setClaimableData] = useState(null);
   const [ticketPrice, setTicketPrice] = useState(null);
-  // pendingMines now comes from useMining hook (on-chain source of truth)
-  const pendingMines = mining.pendingMinesOnChain;
+  const [epochParams, setEpochParams] = useState(null);
+  // Outstanding mine requests (from the dashboard snapshot)
+  const [pendingMines, setPendingMines] = useState(0);
   
   // Input state - now tracks ticket count
   const [ticketInput, setTicketInput] = useState('1');
@@ -58,87 +76,96 @@ export default function App() {
   const [isFinalizing, setIsFinalizing] = useState(false);
   const finalizingRef = useRef(false); // Synchronous debounce
   const [miningPhase, setMiningPhase] = useState(''); // '', 'preparing', 'confirming', 'waiting'
+
+  // Finalize readiness from request maturity and this epoch's remaining cap
+  const availableTickets = Math.max(
+    0,
+    (dashboard?.effectiveCap || dashboard?.hardCap || 1) - (dashboard?.pendingTickets || 0)
+  );
+  const autoFinalize = useAutoFinalize({ address, pendingMines, availableTickets });
+  const autoFinalizeKeyRef = useRef('');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   
   // View state
   const [activeView, setActiveView] = useState('mine');
+  const [showGiftMine, setShowGiftMine] = useState(false);
   
-  // Claim history (persisted in localStorage)
-  const [claimHistory, setClaimHistory] = useState(() => {
-    try {
-      // Check if we are compliant with the current contract address
-      const savedVersion = localStorage.getItem('nara_miner_address');
-      if (savedVersion !== CONFIG.minerAddress) {
-        // Clear history for fresh contract
-        logger.debug('Contract updated, clearing local history');
-        localStorage.removeItem('nara_claim_history');
-        localStorage.removeItem('nara_jackpot_wins');
-        localStorage.setItem('nara_miner_address', CONFIG.minerAddress);
-        return [];
-      }
-      const saved = localStorage.getItem('nara_claim_history');
-      return saved ? JSON.parse(saved) : [];
-    } catch { return []; }
-  });
-  
-  // Jackpot wins tracking
-  const [jackpotWins, setJackpotWins] = useState(() => {
-    try {
-      const saved = localStorage.getItem('nara_jackpot_wins');
-      return saved ? JSON.parse(saved) : [];
-    } catch { return []; }
-  });
+  // Jackpot wins (read from the miner, so they follow the wallet across devices)
+  const [jackpotHistory, setJackpotHistory] = useState(null);
+
+  // Every dashboard number comes from one multicall snapshot pinned to a
+  // single block (services/snapshot), so they always agree with each other
+  const addressRef = useRef(address);
+  addressRef.current = address;
+  const snapshotBlockRef = useRef(0);
+
+  /**
+   * Reload the snapshot and apply it
+   * @param {number} [minBlock] - Block the data must include, e.g. a receipt's
+   */
+  const refreshSnapshot = useCallback(async (minBlock = 0) => {
+    if (!address) return;
+    logger.debug('Loading dashboard for', address);
+    const snapshot = await loadDashboardSnapshot(address, { minBlock });
+
+    // Prevent race condition - don't update if address changed, and never
+    // let a slow response overwrite a newer block's data
+    if (!snapshot || addressRef.current !== address) return;
+    if (snapshot.blockNumber < snapshotBlockRef.current) return;
+    snapshotBlockRef.current = snapshot.blockNumber;
+
+    setDashboard(snapshot.dashboard);
+    setClaimableData(snapshot.claimable);
+    setTicketPrice(snapshot.ticketPrice);
+    setPendingMines(snapshot.pendingMines ?? 0);
+    setBonusOverview(snapshot.bonusOverview);
+
+    if (snapshot.dashboard) {
+      setTimeRemaining(snapshot.dashboard.epochSecondsRemaining);
+    }
+  }, [address]);
 
   // Load dashboard data when connected
   useEffect(() => {
+    snapshotBlockRef.current = 0;
     if (!isConnected || !address) {
       setDashboard(null);
       setBonusOverview(null);
       setClaimableData(null);
-      // pendingMines handled by useMining hook
+      setPendingMines(0);
       return;
     }
 
-    let isValid = true;
+    refreshSnapshot();
+    const interval = setInterval(refreshSnapshot, 30000);
 
-    const loadData = async () => {
-      try {
-        logger.debug('Loading dashboard for', address);
-        const [dashboardResult, claimableResult, priceResult, pendingResult, bonusResult] = await Promise.all([
-          getUserDashboard(address),
-          getClaimableEpochsBatch(address),
-          getTicketPrice(),
-          getPendingMines(address),
-          fetchBonusOverview(address)
-        ]);
-        
-        // Prevent race condition - don't update if address changed
-        if (!isValid) return;
-
-        setDashboard(dashboardResult);
-        setClaimableData(claimableResult);
-        setTicketPrice(priceResult);
-        // pendingMines now from useMining hook, skip local state
-        setBonusOverview(bonusResult);
-        
-        if (dashboardResult) {
-          setTimeRemaining(dashboardResult.epochSecondsRemaining);
-        }
-      } catch (err) {
-        if (isValid) logger.error('Failed to load dashboard', err);
-      }
-    };
+    return () => clearInterval(interval);
+  }, [address, isConnected, refreshSnapshot]);
 
-    loadData();
-    const interval = setInterval(loadData, 30000);
 
-    return () => {
-      isValid = false;
-      clearInterval(interval);
-    };
-  }, [address, isConnected]);
+  // Jackpot history needs a log scan - only load it when the claim view is open,
+  // and rescan after each confirmed tx (a finalize can win the jackpot)
+  const isClaimView = activeView === 'claim';
+  useEffect(() => {
+    if (!isConnected || !address || !isClaimView) return;
+    let isValid = true;
+    getJackpotHistory(address).then((result) => {
+      if (isValid && result) setJackpotHistory(result);
+    });
+    return () => { isValid = false; };
+  }, [address, isConnected, isClaimView, txTracker.lastConfirmedHash]);
 
+  // Clear the previous wallet's wins on account switch
+  useEffect(() => {
+    setJackpotHistory(null);
+  }, [address]);
+
+  // Epoch params (claim window) are effectively static - load once
+  useEffect(() => {
+    if (!isConnected) return;
+    getEpochParams().then(setEpochParams);
+  }, [isConnected]);
 
   // Countdown timer
   useEffect(() => {
@@ -148,7 +175,7 @@ export default function App() {
           return prev - 1;
         } else {
           if (isConnected && address) {
-            getUserDashboard(address).then(setDashboard);
+            refreshSnapshot();
           }
           return EPOCH_SECONDS;
         }
@@ -156,7 +183,7 @@ export default function App() {
     }, 1000);
 
     return () => clearInterval(timerInterval);
-  }, [address, isConnected]);
+  }, [address, isConnected, refreshSnapshot]);
 
   // Format time as MM:SS
   const formatTime = useCallback((seconds) => {
@@ -175,7 +202,7 @@ export default function App() {
   }, [ticketPrice, ticketInput]);
 
   // Handle finalize action
-  const handleFinalize = useCallback(async () => {
+  const handleFinalize = useCallback(async (requestedCount, isAuto = false) => {
     // Synchronous debounce check using ref
     logger.debug('[DEBOUNCE] finalizingRef.current:', finalizingRef.current);
     if (pendingMines <= 0 || finalizingRef.current) {
@@ -188,17 +215,16 @@ export default function App() {
     // Also update state for UI
     setIsFinalizing(true);
     
-    // Calculate max finalize based on cap
-    const cap = dashboard?.effectiveCap || dashboard?.hardCap || 1;
-    const used = dashboard?.pendingTickets || 0;
-    const available = Math.max(0, cap - used);
-    
-    const countToFinalize = Math.min(pendingMines, available);
+    // Prefer the per-request plan (maturity + cap); fall back to the cap estimate until it loads
+    const plannedCount = requestedCount ?? autoFinalize.readyCount;
+    const countToFinalize = plannedCount ?? Math.min(pendingMines, availableTickets);
     
-    logger.debug('[FINALIZE] State:', { pending: pendingMines, cap, used, available, count: countToFinalize });
+    logger.debug('[FINALIZE] State:', { pending: pendingMines, available: availableTickets, count: countToFinalize });
 
     if (countToFinalize <= 0) {
-      setError('Epoch cap reached for this epoch. Please wait for the next epoch to finalize remaining mines.');
+      setError(autoFinalize.blocksUntilNext > 0
+        ? `Your next mine request matures in ${autoFinalize.blocksUntilNext} block(s). Try again shortly.`
+        : 'Epoch cap reached for this epoch. Please wait for the next epoch to finalize remaining mines.');
       // Reset ref since we are returning early
       finalizingRef.current = false;
       setIsFinalizing(false);
@@ -210,76 +236,44 @@ export default function App() {
     setSuccess('');
     
     try {
+      const confirmed = await txPreview.confirm({
+        title: 'Finalize mines',
+        functionName: 'finalizeMines',
+        args: [BigInt(countToFinalize)],
+        outcome: `${countToFinalize} mine${countToFinalize === 1 ? '' : 's'} credited`,
+        autoConfirm: isAuto,
+      });
+      if (!confirmed) return;
+
       // Guidance for mobile users: prompt to open wallet app
       setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
       
       // Use wagmi hook for reliable wallet connectivity
-      const txHash = await mining.finalizeMines(countToFinalize);
-      setSuccess(`✓ TX sent! Hash: ${txHash.slice(0, 10)}...`);
-      setPendingTxHash(txHash);
-      
-      logger.debug('[FINALIZE] Reducing pending locally by:', countToFinalize);
-      // Immediately reduce pending count to prevent double-click
-      // Optimistic update handled by hook refetch
-      mining.refetchPendingMines();
-      
-      // IMMEDIATE OPTIMISTIC UPDATE (Pre-Confirmation):
-      // Update dashboard used tickets immediately to prevent "Mine" button from unlocking
-      // The remaining cap formula is: Cap - Used - Pending
-      // Since Pending drops immediately, we must increase Used immediately to keep Remaining constant.
-      if (dashboard) {
-        setDashboard(prev => ({
-          ...prev,
-          pendingTickets: (prev.pendingTickets || 0) + countToFinalize
-        }));
+      const txHash = await mining.finalizeMines(countToFinalize, confirmed.gasLimit);
+      setSuccess(`✓ TX sent! Hash: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+
+      // Stay busy until the receipt lands so the button can't double-submit
+      const tx = await txTracker.track(txHash, {
+        kind: 'finalize',
+        label: `Finalize ${countToFinalize} mine${countToFinalize === 1 ? '' : 's'}`,
+        from: address,
+      });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+
+      // Report what the receipt says happened, not what we asked for
+      const result = summarizeEvents(tx);
+      const parts = [`Finalized ${result.minesFinalized} mine${result.minesFinalized === 1 ? '' : 's'}: ${result.tickets} ticket${result.tickets === 1 ? '' : 's'} credited.`];
+      if (result.minesFailed > 0) {
+        parts.push(`${result.minesFailed} could not be credited${result.refundWei > 0n ? ` (${Number(ethers.formatEther(result.refundWei)).toFixed(6)} ETH refunded)` : ''}.`);
       }
-      
-      // Note: wagmi hook returns hash immediately, tx confirmation is async
-      setSuccess(`Finalized ${countToFinalize} mines! Tickets credited.`);
-      
-      // Refresh with actual on-chain data
-      const [newPending, newDashboard] = await Promise.all([
-        getPendingMines(address),
-        getUserDashboard(address)
-      ]);
-      
-      // RPC Lag Protection:
-      // If RPC return value hasn't decreased (still >= original), it's stale.
-      // Trust our optimistic calculation in that case.
-      const expectedRemaining = Math.max(0, pendingMines - countToFinalize);
-      if (newPending >= pendingMines) {
-        logger.debug('[FINALIZE] RPC data stale (new >= old), keeping optimistic state', {
-          rpc: newPending,
-          old: pendingMines,
-          kept: expectedRemaining
-        });
-        // Optimistic mismatch - refetch again shortly
-        setTimeout(() => mining.refetchPendingMines(), 2000);
-      } else {
-        mining.refetchPendingMines();
+      if (result.jackpotEthWei > 0n || result.jackpotNaraWei > 0n) {
+        parts.push(`🎰 Jackpot won: ${Number(ethers.formatEther(result.jackpotEthWei)).toFixed(4)} ETH + ${Number(ethers.formatEther(result.jackpotNaraWei)).toFixed(2)} NARA!`);
       }
+      setSuccess(parts.join(' '));
 
-      // Optimistic Dashboard Update:
-      // Prevent "Mine" button flashing by ensuring pendingTickets (used cap)
-      // reflects what we just finalized, even if RPC is stale.
-      // If newDashboard.pendingTickets hasn't increased, force it.
-      const oldUsed = dashboard?.pendingTickets || 0;
-      const newUsed = newDashboard?.pendingTickets || 0;
-      
-      if (newUsed <= oldUsed) {
-         // RPC stale - manually increment used tickets
-         setDashboard({
-            ...newDashboard,
-            pendingTickets: oldUsed + countToFinalize
-         });
-         logger.debug('[FINALIZE] RPC stale for dashboard, optimistic update applied', {
-            oldUsed,
-            newUsed,
-            forced: oldUsed + countToFinalize
-         });
-      } else {
-         setDashboard(newDashboard);
-      }
+      // State is final at this block - refresh from chain
+      if (result.refundWei > 0n) mining.refetchPendingRefund();
+      await refreshSnapshot(tx.blockNumber);
       
     } catch (err) {
       logger.error('Finalize failed', err);
@@ -292,17 +286,18 @@ export default function App() {
       setIsFinalizing(false);
       finalizingRef.current = false;
     }
-  }, [pendingMines, address, dashboard]);
+  }, [pendingMines, address, availableTickets, autoFinalize.readyCount, autoFinalize.blocksUntilNext, txPreview, txTracker, refreshSnapshot]);
 
-  // Reset function now just clears UI state (pendingMines is on-chain)
-  const resetUIState = useCallback(() => {
-    setMiningPhase('');
-    setIsFinalizing(false);
-    finalizingRef.current = false;
-    setError('');
-    setSuccess('');
-    mining.refetchPendingMines();
-  }, [mining]);
+  // Auto-submit finalizeMines once per (pending, ready) state so a rejected
+  // wallet prompt is not re-opened on every block
+  useEffect(() => {
+    if (autoFinalize.mode !== 'submit' || !autoFinalize.readyCount) return;
+    if (miningPhase !== '' || finalizingRef.current) return;
+    const key = `${pendingMines}:${autoFinalize.readyCount}`;
+    if (autoFinalizeKeyRef.current === key) return;
+    autoFinalizeKeyRef.current = key;
+    handleFinalize(autoFinalize.readyCount, true);
+  }, [autoFinalize.mode, autoFinalize.readyCount, pendingMines, miningPhase, handleFinalize]);
 
   // Handle mine action
   const handleMine = useCallback(async () => {
@@ -356,33 +351,37 @@ export default function App() {
 
     try {
       logger.tx('mine', { tickets: tickets.toString() });
-      setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
       
       // Calculate cost
       const costWei = BigInt(tickets) * ticketPrice;
       
+      const confirmed = await txPreview.confirm({
+        title: 'Mine',
+        functionName: 'requestMine',
+        args: [BigInt(tickets)],
+        value: costWei,
+        outcome: `${tickets} ticket${tickets === 1 ? '' : 's'}`,
+      });
+      if (!confirmed) return;
+      setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+      
       // Use wagmi hook for reliable wallet connectivity
       setMiningPhase('confirming');
-      const txHash = await mining.requestMine(BigInt(tickets), costWei);
+      const txHash = await mining.requestMine(BigInt(tickets), costWei, confirmed.gasLimit);
       
-      setPendingTxHash(txHash);
       setSuccess(`✓ TX sent! Waiting for confirmation...`);
-      
-      // Immediately show pending state (optimistic update)
-      // Immediately trigger refetch to show pending state
-      mining.refetchPendingMines();
-      setIsLoading(false);
-      
       setMiningPhase('waiting');
-      // Transaction confirmation is handled by useWaitForTransactionReceipt
-      // We can't await here as wagmi returns hash immediately
-      setMiningPhase('');
-      setSuccess('Mining request sent! Click FINALIZE when ready.');
-      
-      // Refresh actual pending count from chain after a short delay
-      setTimeout(async () => {
-        mining.refetchPendingMines();
-      }, 3000);
+
+      const tx = await txTracker.track(txHash, {
+        kind: 'mine',
+        label: `Mine ${tickets} ticket${tickets === 1 ? '' : 's'}`,
+        from: address,
+      });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+
+      const queued = tx.events.filter((e) => e.name === 'MineRequested').length;
+      setSuccess(`Mining request confirmed${queued > 1 ? ` (${queued} requests)` : ''}! Click FINALIZE when ready.`);
+      await refreshSnapshot(tx.blockNumber);
       
     } catch (err) {
       logger.error('Mining failed', err);
@@ -394,80 +393,86 @@ export default function App() {
       }
       
       setMiningPhase('');
-      // Revert optimistic update on error
-      mining.refetchPendingMines();
+      refreshSnapshot();
     } finally {
       setIsLoading(false);
       setMiningPhase('');
     }
-  }, [ticketInput, address, ticketPrice, dashboard, pendingMines, mining]);
+  }, [ticketInput, address, ticketPrice, dashboard, pendingMines, mining, txPreview, txTracker, refreshSnapshot]);
 
   // Handle claim action
-  const handleClaim = useCallback(async () => {
+  // With no arguments claims every claimable epoch; ClaimBreakdown passes a subset
+  const handleClaim = useCallback(async (selectedEpochs, selectedAmount) => {
     if (!claimableData || claimableData.epochs.length === 0) {
       setError('Nothing to claim');
       return;
     }
 
+    const isSubset = Array.isArray(selectedEpochs);
+
     setIsLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const epochsToClaim = [...claimableData.epochs]; // Copy before clearing
-      const amountToClaim = totalClaimable;
-      
-      // Guidance for mobile users
-      setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
-      
-      // Use wagmi hook for reliable wallet connectivity
-      let txHash;
-      if (epochsToClaim.length === 1) {
-        txHash = await mining.claim(epochsToClaim[0]);
-      } else {
-        txHash = await mining.claimBatch(epochsToClaim);
+      const requestedEpochs = isSubset ? [...selectedEpochs] : [...claimableData.epochs]; // Copy before clearing
+      const amountByEpoch = new Map(claimableData.epochs.map((e, i) => [e, parseFloat(claimableData.amounts[i] || 0)]));
+
+      // Split into as many transactions as the block gas bound requires. An
+      // estimate that reverts (or fails over RPC) is shown as-is.
+      const batches = await planClaimBatches(address, requestedEpochs);
+
+      const sent = [];
+      for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        const isSingle = batch.epochs.length === 1;
+        const batchAmount = batches.length === 1 && isSubset
+          ? parseFloat(selectedAmount)
+          : batch.epochs.reduce((sum, e) => sum + (amountByEpoch.get(e) || 0), 0);
+        const part = batches.length > 1 ? ` (${i + 1}/${batches.length})` : '';
+        const title = (isSingle ? `Claim epoch #${batch.epochs[0]}` : `Claim ${batch.epochs.length} epochs`) + part;
+
+        const confirmed = await txPreview.confirm({
+          title,
+          functionName: isSingle ? 'claim' : 'claimBatch',
+          args: isSingle ? [BigInt(batch.epochs[0])] : [batch.epochs.map(BigInt)],
+          outcome: `${batchAmount.toFixed(2)} NARA`,
+        });
+        if (!confirmed) break;
+
+        // Guidance for mobile users
+        setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+        
+        // Use wagmi hook for reliable wallet connectivity
+        const txHash = isSingle
+          ? await mining.claim(batch.epochs[0], batch.gasLimit)
+          : await mining.claimBatch(batch.epochs, batch.gasLimit);
+        setSuccess(`✓ Claim TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+        sent.push(txTracker.track(txHash, { kind: 'claim', label: title, from: address }));
       }
-      setSuccess(`✓ Claim TX sent: ${txHash.slice(0, 10)}...`);
-      setPendingTxHash(txHash);
-      
-      // Immediately clear claimable to prevent double-click
-      setClaimableData({ epochs: [], amounts: [], totalClaimable: '0' });
-      
-      // Note: wagmi hook returns hash immediately, tx confirmation is async
-      setSuccess('Claimed successfully! Balance updating...');
-      
-      // Save to claim history
-      const newHistoryEntry = {
-        epochs: epochsToClaim,
-        amount: amountToClaim,
-        timestamp: Date.now(),
-        txHash: txHash
-      };
-      const updatedHistory = [newHistoryEntry, ...claimHistory].slice(0, 10);
-      setClaimHistory(updatedHistory);
-      localStorage.setItem('nara_claim_history', JSON.stringify(updatedHistory));
-      
-      // Refresh both claimable and dashboard for balance update
-      const [newClaimable, newDashboard] = await Promise.all([
-        getClaimableEpochsBatch(address),
-        getUserDashboard(address)
-      ]);
-      
-      // Filter out epochs we just claimed to handle RPC lag
-      // If the node is slow, it might still report them as claimable.
-      if (newClaimable && newClaimable.epochs) {
-        const claimedSet = new Set(epochsToClaim.map(String));
-        newClaimable.epochs = newClaimable.epochs.filter(e => !claimedSet.has(String(e)));
-        // Recalculate total if we filtered anything (rough approximation or zero it if all filtered)
-        if (newClaimable.epochs.length === 0) {
-          newClaimable.totalClaimable = '0';
-          newClaimable.amounts = [];
-        }
+      if (sent.length === 0) return;
+
+      // Batches confirm independently; credit only the ones that landed
+      const settled = await Promise.all(sent);
+      const confirmedTxs = settled.filter((tx) => tx.status === 'confirmed');
+      if (confirmedTxs.length === 0) {
+        throw new Error(getSettlementError(settled[settled.length - 1]));
       }
 
-      setClaimableData(newClaimable);
-      setDashboard(newDashboard);
-      setSuccess('Claimed successfully!');
+      const claimedWei = confirmedTxs.reduce((sum, tx) => sum + summarizeEvents(tx).claimedWei, 0n);
+      const claimedEpochs = new Set(confirmedTxs.flatMap((tx) => tx.events.flatMap((e) => {
+        if (e.name === 'Claimed') return [e.args.epoch];
+        if (e.name === 'BatchClaimed') return e.args.epochs;
+        return [];
+      })));
+
+      // Refresh claimable and balances as of the last confirmed batch
+      await refreshSnapshot(Math.max(...confirmedTxs.map((tx) => tx.blockNumber)));
+
+      const partial = confirmedTxs.length < settled.length
+        ? ` ${settled.length - confirmedTxs.length} batch(es) did not confirm - see recent transactions.`
+        : '';
+      setSuccess(`Claimed ${Number(ethers.formatEther(claimedWei)).toFixed(2)} NARA across ${claimedEpochs.size} epoch${claimedEpochs.size === 1 ? '' : 's'}!${partial}`);
       
     } catch (err) {
       logger.error('Claim failed', err);
@@ -478,7 +483,45 @@ export default function App() {
     } finally {
       setIsLoading(false);
     }
-  }, [claimableData, address]);
+  }, [claimableData, address, txPreview, txTracker, refreshSnapshot]);
+
+  // Handle refund withdrawal
+  const handleWithdrawRefund = useCallback(async () => {
+    if (mining.pendingRefundWei === 0n || isLoading) return;
+
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const amount = ethers.formatEther(mining.pendingRefundWei);
+      const confirmed = await txPreview.confirm({
+        title: 'Withdraw refund',
+        functionName: 'withdrawRefund',
+        outcome: `${Number(amount).toFixed(6)} ETH refund`,
+      });
+      if (!confirmed) return;
+
+      setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+      const txHash = await mining.withdrawRefund(confirmed.gasLimit);
+      setSuccess(`✓ Refund TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+
+      const tx = await txTracker.track(txHash, { kind: 'refund', label: 'Withdraw refund', from: address });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      const withdrawn = tx.events.find((e) => e.name === 'RefundWithdrawn');
+      setSuccess(`Refund of ${Number(ethers.formatEther(withdrawn?.args.amount ?? 0)).toFixed(6)} ETH withdrawn!`);
+      mining.refetchPendingRefund();
+    } catch (err) {
+      logger.error('Refund withdrawal failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mining, isLoading, address, txPreview, txTracker]);
 
   // Handle ticket input change
   const handleTicketChange = useCallback((e) => {
@@ -543,9 +586,11 @@ export default function App() {
   return (
     <div className="app">
       {/* Testnet Banner */}
-      <div className="testnet-banner">
-        BASE SEPOLIA TESTNET
-      </div>
+      {CONFIG.isTestnet && (
+        <div className="testnet-banner">
+          {CONFIG.chainName.toUpperCase()} TESTNET
+        </div>
+      )}
 
       {/* Connection Status - Mobile Reconnection UI */}
       <ConnectionStatus />
@@ -557,15 +602,17 @@ export default function App() {
             <div className="wallet-connect">
               <ConnectButton accountStatus="address" showBalance={false} />
             </div>
-            <a
-              href={`https://app.uniswap.org/explore/tokens/base/${CONFIG.tokenAddress}`}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="buy-token-btn"
-              title="Buy NARA on Uniswap"
-            >
-              BUY NARA ↗
-            </a>
+            {CONFIG.dexUrl && (
+              <a
+                href={CONFIG.dexUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="buy-token-btn"
+                title="Buy NARA on Uniswap"
+              >
+                BUY NARA ↗
+              </a>
+            )}
             <button
               onClick={addToWallet}
               className="add-token-btn"
@@ -573,8 +620,17 @@ export default function App() {
             >
               + 🦊 NARA
             </button>
+            <TxDrawer
+              transactions={txTracker.transactions}
+              pendingCount={txTracker.pendingCount}
+              onClear={txTracker.clearSettled}
+              onSpeedUp={txTracker.speedUp}
+              onCancel={txTracker.cancel}
+            />
           </>
         )}
+        <NetworkSwitcher />
+        <RpcStatus />
       </header>
 
       {/* Wallet Balances - Visible when connected */}
@@ -592,6 +648,19 @@ export default function App() {
               {naraBalance ? Number(naraBalance.formatted).toFixed(2) : '0.00'}
             </span>
           </div>
+          {mining.pendingRefundWei > 0n && (
+            <button
+              className="balance-item refund"
+              onClick={handleWithdrawRefund}
+              disabled={isLoading}
+              title="ETH credited back to you by the miner. Click to withdraw."
+            >
+              <span className="balance-label">REFUND</span>
+              <span className="balance-value">
+                {Number(ethers.formatEther(mining.pendingRefundWei)).toFixed(4)}
+              </span>
+            </button>
+          )}
         </div>
       )}
 
@@ -643,11 +712,11 @@ export default function App() {
             <div className="hero-trust-row">
               <a
                 className="hero-trust-item"
-                href={`https://basescan.org/token/${CONFIG.tokenAddress}`}
+                href={`${CONFIG.explorerUrl}/token/${CONFIG.tokenAddress}`}
                 target="_blank"
                 rel="noopener noreferrer"
               >
-                BaseScan ↗
+                {CONFIG.explorerName} ↗
               </a>
               <span className="hero-trust-dot" />
               <span className="hero-trust-item">Fixed 1M Supply</span>
@@ -656,14 +725,27 @@ export default function App() {
             </div>
 
             <WalletHelp />
-            <TestnetFaucet />
+            {CONFIG.naraFaucet && <TestnetFaucet />}
           </div>
         ) : (
           <React.Fragment key={address || 'auth-view'}>
+            {/* Auto-finalize prompt while away from the mine view */}
+            {autoFinalize.mode === 'prompt' && autoFinalize.readyCount > 0 && activeView !== 'mine' && (
+              <div className="auto-finalize-prompt">
+                <span>⛏ {autoFinalize.readyCount} mine{autoFinalize.readyCount === 1 ? '' : 's'} ready to finalize</span>
+                <button
+                  className="action-button finalize-btn"
+                  onClick={() => handleFinalize(autoFinalize.readyCount)}
+                  disabled={isLoading || isFinalizing}
+                >
+                  FINALIZE {autoFinalize.readyCount}
+                </button>
+              </div>
+            )}
             {activeView === 'mine' ? (
               <div className="mine-view">
                 {/* Testnet Faucet (Moved to top) */}
-                <TestnetFaucet />
+                {CONFIG.naraFaucet && <TestnetFaucet />}
 
                 {/* Epoch Timer Header */}
                 <div className="epoch-header">
@@ -712,7 +794,7 @@ export default function App() {
                       REWARDS DISTRIBUTING
                     </span>
                     <span className="ticker-sep">·</span>
-                    <span className="ticker-item">BASE MAINNET</span>
+                    <span className="ticker-item">{CONFIG.chainName.toUpperCase()}</span>
                     <span className="ticker-sep">·</span>
                     <span className="ticker-item">
                       <span className="ticker-dot" />
@@ -726,7 +808,7 @@ export default function App() {
                       REWARDS DISTRIBUTING
                     </span>
                     <span className="ticker-sep">·</span>
-                    <span className="ticker-item">BASE MAINNET</span>
+                    <span className="ticker-item">{CONFIG.chainName.toUpperCase()}</span>
                     <span className="ticker-sep">·</span>
                   </div>
                 </div>
@@ -802,6 +884,12 @@ export default function App() {
                   );
                 })()}
 
+                {/* Gift mining - sponsor tickets for another address */}
+                <button className="gift-mine-toggle" onClick={() => setShowGiftMine(v => !v)}>
+                  {showGiftMine ? '▾ HIDE GIFT MINING' : '🎁 MINE FOR A FRIEND'}
+                </button>
+                {showGiftMine && <GiftMine address={address} ticketPrice={ticketPrice} />}
+
                 {/* Pending Mines Status Card - show during mining or when pending */}
                 {(pendingMines > 0 || miningPhase !== '') && (
                   <div className="pending-mines-card">
@@ -820,37 +908,33 @@ export default function App() {
                         {miningPhase === 'preparing' ? 'checking eligibility' :
                          miningPhase === 'confirming' ? 'please confirm' :
                          miningPhase === 'waiting' ? 'confirming on chain' :
-                         'waiting for blocks'}
+                         pendingMines === 1 ? 'request outstanding' : 'requests outstanding'}
                       </span>
                     </div>
                     {miningPhase === '' && pendingMines > 0 && (
                       <>
+                        <MineRequestInspector address={address} pendingCount={pendingMines} />
+                        <AutoFinalizeControl
+                          mode={autoFinalize.mode}
+                          onModeChange={autoFinalize.setMode}
+                          blocksUntilNext={autoFinalize.blocksUntilNext}
+                        />
                         <p className="pending-help">Click FINALIZE to complete your mining and receive tickets</p>
                         <button 
                           className="action-button finalize-btn"
-                          onClick={handleFinalize}
+                          onClick={() => handleFinalize()}
                           disabled={isLoading || isFinalizing}
                         >
                           {(() => {
                             if (isLoading) return 'FINALIZING...';
-                            const cap = dashboard?.effectiveCap || dashboard?.hardCap || 1;
-                            const used = dashboard?.pendingTickets || 0;
-                            const available = Math.max(0, cap - used);
-                            const count = Math.min(pendingMines, available);
+                            const count = autoFinalize.readyCount ?? Math.min(pendingMines, availableTickets);
                             
+                            if (count === 0 && autoFinalize.blocksUntilNext > 0) return `MATURING (${autoFinalize.blocksUntilNext} BLOCKS)`;
                             if (count === 0) return `WAIT FOR NEXT EPOCH (${pendingMines} PENDING)`;
                             if (count < pendingMines) return `FINALIZE ${count}/${pendingMines} MINES`;
                             return `FINALIZE ${pendingMines} MINES`;
                           })()}
                         </button>
-                        <button 
-                          className="action-button reset-btn"
-                          onClick={resetUIState}
-                          style={{ marginTop: '8px', background: 'rgba(255, 255, 255, 0.05)', fontSize: '10px', padding: '8px' }}
-                          title="Click here if you are stuck"
-                        >
-                          STUCK? RESET STATE
-                        </button>
                       </>
                     )}
                   </div>
@@ -865,17 +949,19 @@ export default function App() {
                         Hold ≥ 0.1 NARA (You have: {naraBalance ? Number(naraBalance.formatted).toFixed(4) : '0.0000'})
                       </li>
                       <li className={dashboard?.userCanMine ? 'met' : 'unmet'}>
-                        Hold for 5 minutes after purchase (Testnet)
+                        Hold for {CONFIG.isTestnet ? '5 minutes after purchase (Testnet)' : '3 hours after purchase'}
                       </li>
                     </ul>
-                      <a
-                        href={`https://app.uniswap.org/explore/tokens/base/${CONFIG.tokenAddress}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="get-nara-link"
-                      >
-                        GET NARA
-                      </a>
+                      {CONFIG.dexUrl && (
+                        <a
+                          href={CONFIG.dexUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="get-nara-link"
+                        >
+                          GET NARA
+                        </a>
+                      )}
                   </div>
                 )}
 
@@ -883,12 +969,12 @@ export default function App() {
                 <div className="trust-strip">
                   <a
                     className="trust-item"
-                    href={`https://basescan.org/token/${CONFIG.tokenAddress}`}
+                    href={`${CONFIG.explorerUrl}/token/${CONFIG.tokenAddress}`}
                     target="_blank"
                     rel="noopener noreferrer"
                   >
                     <span className="trust-item-label">Token</span>
-                    <span className="trust-item-value link">BaseScan ↗</span>
+                    <span className="trust-item-value link">{CONFIG.explorerName} ↗</span>
                   </a>
                   <div className="trust-item">
                     <span className="trust-item-label">Supply</span>
@@ -901,6 +987,10 @@ export default function App() {
                 </div>
 
               </div>
+            ) : activeView === 'auto' ? (
+              <AutoMinePanel address={address} currentEpoch={dashboard?.currentEpoch || 0} />
+            ) : activeView === 'keeper' ? (
+              <KeeperConsole address={address} currentEpoch={dashboard?.currentEpoch || 0} />
             ) : (
               <div className="claim-view">
                 {/* Claimable Rewards Header */}
@@ -917,61 +1007,83 @@ export default function App() {
                 {/* Claim Button */}
                 <button 
                   className="action-button claim-btn"
-                  onClick={handleClaim}
+                  onClick={() => handleClaim()}
                   disabled={isLoading || !hasClaimable}
                 >
                   {isLoading ? 'CLAIMING...' : 'CLAIM ALL'}
                 </button>
 
+                {/* Rewards owed but not payable from the current pool */}
+                <RewardPoolShortfall claimableData={claimableData} />
+
+                {/* Claim window expiry warnings */}
+                <ClaimExpiryWarning
+                  claimableData={claimableData}
+                  currentEpoch={dashboard?.currentEpoch || 0}
+                  claimWindow={epochParams?.claimWindow || 0}
+                  secondsRemaining={timeRemaining}
+                  onClaimExpiring={handleClaim}
+                  disabled={isLoading}
+                />
+
+                {/* Per-epoch breakdown with partial claims */}
+                {hasClaimable && (
+                  <ClaimBreakdown
+                    address={address}
+                    claimableEpochs={claimableData.epochs}
+                    currentEpoch={dashboard?.currentEpoch || 0}
+                    claimWindow={epochParams?.claimWindow || 0}
+                    onClaimSelected={handleClaim}
+                    disabled={isLoading}
+                  />
+                )}
+
                 {/* Connect message */}
-                {!hasClaimable && !claimHistory.length && (
+                {!hasClaimable && !claimableData?.droppedEpochs?.length && (
                   <div className="wallet-message">
                     No rewards to claim yet
                   </div>
                 )}
 
-                {/* Claim History */}
-                {claimHistory.length > 0 && (
-                  <div className="claim-history">
-                    <div className="history-header">
-                      <span className="history-title">CLAIM HISTORY</span>
-                      <span className="history-total">
-                        Total: {claimHistory.reduce((sum, h) => sum + parseFloat(h.amount || 0), 0).toFixed(2)} NARA
-                      </span>
-                    </div>
-                    <div className="history-list">
-                      {claimHistory.map((item, i) => (
-                        <div key={i} className="history-item">
-                          <div className="history-item-left">
-                            <span className="history-amount">+{parseFloat(item.amount).toFixed(2)} NARA</span>
-                            <span className="history-epochs">{item.epochs?.length || 1} epoch(s)</span>
-                          </div>
-                          <span className="history-date">
-                            {new Date(item.timestamp).toLocaleDateString()}
-                          </span>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
+                {/* Claim History - indexed from chain, refreshed when a tx confirms */}
+                <ClaimHistory address={address} refreshKey={txTracker.lastConfirmedHash} />
 
                 {/* Jackpot Wins */}
-                {jackpotWins.length > 0 && (
+                {jackpotHistory?.winCount > 0 && (
                   <div className="jackpot-history">
                     <div className="history-header">
-                      <span className="history-title">JACKPOT WINS</span>
+                      <span className="history-title">JACKPOT WINS ({jackpotHistory.winCount})</span>
+                      <span className="history-total jackpot-total">
+                        {parseFloat(jackpotHistory.totalEthWon).toFixed(4)} ETH / {parseFloat(jackpotHistory.totalNaraWon).toFixed(2)} NARA
+                      </span>
                     </div>
                     <div className="history-list">
-                      {jackpotWins.map((win, i) => (
-                        <div key={i} className="history-item jackpot-win">
+                      {jackpotHistory.wins.map((win) => (
+                        <a
+                          key={`${win.txHash}-${win.blockNumber}`}
+                          className="history-item jackpot-win"
+                          href={`${CONFIG.explorerUrl}/tx/${win.txHash}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
                           <div className="history-item-left">
-                            <span className="history-amount">+{win.ethAmount} ETH / +{win.naraAmount} NARA</span>
+                            <span className="history-amount">
+                              +{parseFloat(win.ethAmount).toFixed(4)} ETH / +{parseFloat(win.naraAmount).toFixed(2)} NARA
+                            </span>
+                            <span className="history-epochs">
+                              {win.epoch !== null ? `Epoch #${win.epoch}` : `Block ${win.blockNumber}`}
+                            </span>
                           </div>
                           <span className="history-date">
-                            {new Date(win.timestamp).toLocaleDateString()}
+                            {win.timestamp ? new Date(win.timestamp).toLocaleDateString() : ''} ↗
                           </span>
-                        </div>
+                        </a>
                       ))}
+                      {jackpotHistory.wins.length < jackpotHistory.winCount && (
+                        <div className="history-epochs">
+                          {jackpotHistory.winCount - jackpotHistory.wins.length} older win(s) outside the scanned block range
+                        </div>
+                      )}
                     </div>
                   </div>
                 )}
@@ -986,6 +1098,18 @@ export default function App() {
               >
                 MINE
               </button>
+              <button
+                className={`nav-btn ${activeView === 'auto' ? 'active' : ''}`}
+                onClick={() => { setActiveView('auto'); setError(''); setSuccess(''); }}
+              >
+                AUTO
+              </button>
+              <button
+                className={`nav-btn ${activeView === 'keeper' ? 'active' : ''}`}
+                onClick={() => { setActiveView('keeper'); setError(''); setSuccess(''); }}
+              >
+                KEEP
+              </button>
               <button
                 className={`nav-btn ${activeView === 'claim' ? 'active' : ''}`}
                 onClick={() => { setActiveView('claim'); setError(''); setSuccess(''); }}
@@ -996,6 +1120,8 @@ export default function App() {
           </React.Fragment>
         )}
       </main>
+
+      <TxConfirmSheet preview={txPreview.preview} onConfirm={txPreview.accept} onCancel={txPreview.cancel} />
     </div>
   );
 }
@@ -0,0 +1,43 @@
+/**
+ * AutoFinalizeControl Component
+ *
+ * Mode switch for useAutoFinalize, shown in the pending mines card.
+ */
+import React from 'react';
+import { AUTO_FINALIZE_MODES } from '../hooks/useAutoFinalize';
+import './AutoFinalizeControl.css';
+
+const MODE_LABELS = {
+  off: 'OFF',
+  prompt: 'PROMPT',
+  submit: 'AUTO',
+};
+
+const MODE_HINTS = {
+  off: 'Finalize manually when your requests mature',
+  prompt: 'You will be prompted as soon as requests mature',
+  submit: 'finalizeMines is sent automatically - best with a session-approved wallet',
+};
+
+export default function AutoFinalizeControl({ mode, onModeChange, blocksUntilNext }) {
+  return (
+    <div className="auto-finalize">
+      <div className="auto-finalize-modes">
+        <span className="auto-finalize-label">AUTO-FINALIZE</span>
+        {AUTO_FINALIZE_MODES.map((m) => (
+          <button
+            key={m}
+            className={`auto-finalize-mode ${mode === m ? 'active' : ''}`}
+            onClick={() => onModeChange(m)}
+          >
+            {MODE_LABELS[m]}
+          </button>
+        ))}
+      </div>
+      <div className="auto-finalize-hint">
+        {MODE_HINTS[mode]}
+        {blocksUntilNext > 0 && ` · next request matures in ${blocksUntilNext} block${blocksUntilNext === 1 ? '' : 's'}`}
+      </div>
+    </div>
+  );
+}
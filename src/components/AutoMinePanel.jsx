@@ -0,0 +1,268 @@
+/**
+ * AutoMinePanel Component
+ *
+ * Scheduled mining through the AutoMinerRegistry: register a schedule,
+ * toggle auto-mining, and show the on-chain config for the connected wallet.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getAutoMinerConfig, validateAutoMineSchedule, parseStopWinThreshold } from '../services/autoMiner';
+import { useAutoMiner } from '../hooks/useAutoMiner';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import AutoMineVault from './AutoMineVault';
+import AutoMineScheduleEditor from './AutoMineScheduleEditor';
+import { ERROR_MESSAGES } from '../constants/limits';
+import { validateEthInput, sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+import './AutoMinePanel.css';
+
+const DEFAULT_FORM = {
+  ticketsPerMine: '1',
+  minesPerWindow: '1',
+  windowEpochs: '1',
+  stopWinThreshold: '',
+  stopOnAnyJackpot: false,
+  deposit: '',
+};
+
+export default function AutoMinePanel({ address, currentEpoch }) {
+  const autoMiner = useAutoMiner();
+  const txTracker = useTransactions();
+
+  const [config, setConfig] = useState(null);
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadConfig = useCallback(async () => {
+    if (!address) return;
+    const result = await getAutoMinerConfig(address);
+    setConfig(result);
+  }, [address]);
+
+  // Load config on mount and poll alongside the dashboard
+  useEffect(() => {
+    loadConfig();
+    const interval = setInterval(loadConfig, 30000);
+    return () => clearInterval(interval);
+  }, [loadConfig]);
+
+  // Refresh once the last registry transaction is mined
+  useEffect(() => {
+    if (autoMiner.isConfirmed) {
+      loadConfig();
+    }
+  }, [autoMiner.isConfirmed, loadConfig]);
+
+  const handleFieldChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    let next = value;
+    if (type === 'checkbox') {
+      next = checked;
+    } else if (name === 'stopWinThreshold' || name === 'deposit') {
+      next = validateEthInput(value).value;
+    } else {
+      next = value.replace(/[^0-9]/g, '');
+    }
+    setForm(prev => ({ ...prev, [name]: next }));
+    setError('');
+  }, []);
+
+  const runAction = useCallback(async (action, label, pendingMessage, doneMessage) => {
+    setIsLoading(true);
+    setError('');
+    setSuccess(pendingMessage);
+    try {
+      const txHash = await action();
+      setSuccess(`✓ TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+      const tx = await txTracker.track(txHash, { kind: 'automine', label, from: address });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      setSuccess(doneMessage);
+    } catch (err) {
+      logger.error('Auto-mine action failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [txTracker, address]);
+
+  const handleRegister = useCallback(() => {
+    const schedule = {
+      ticketsPerMine: parseInt(form.ticketsPerMine, 10),
+      minesPerWindow: parseInt(form.minesPerWindow, 10),
+      windowEpochs: parseInt(form.windowEpochs, 10),
+    };
+    const check = validateAutoMineSchedule(schedule);
+    if (!check.valid) {
+      setError(check.error);
+      return;
+    }
+
+    const stopWin = parseStopWinThreshold(form.stopWinThreshold);
+    if (!stopWin.valid) {
+      setError(stopWin.error);
+      return;
+    }
+
+    let depositWei = 0n;
+    try {
+      if (form.deposit) depositWei = ethers.parseEther(form.deposit);
+    } catch {
+      setError(ERROR_MESSAGES.INVALID_AMOUNT);
+      return;
+    }
+
+    runAction(
+      () => autoMiner.register({
+        ...schedule,
+        stopWinThreshold: stopWin.wei,
+        stopOnAnyJackpot: form.stopOnAnyJackpot,
+        depositWei,
+      }),
+      'Register for auto-mining',
+      '📱 Opening wallet... Check your wallet app to confirm!',
+      'Registered for auto-mining!',
+    );
+  }, [form, autoMiner, runAction]);
+
+  const handleToggle = useCallback(() => {
+    if (!config?.isRegistered) {
+      setError(ERROR_MESSAGES.NOT_REGISTERED);
+      return;
+    }
+    runAction(
+      config.enabled ? autoMiner.disableAutoMining : autoMiner.enableAutoMining,
+      config.enabled ? 'Disable auto-mining' : 'Enable auto-mining',
+      '📱 Opening wallet... Check your wallet app to confirm!',
+      config.enabled ? 'Auto-mining disabled.' : 'Auto-mining enabled.',
+    );
+  }, [config, autoMiner, runAction]);
+
+  const busy = isLoading || autoMiner.isPending || autoMiner.isConfirming;
+
+  return (
+    <div className="automine-view">
+      <div className="claim-header">
+        <span className="claim-label">AUTO-MINE</span>
+        <span className="claim-subtitle">
+          {config?.isRegistered
+            ? (config.enabled ? 'Scheduled mining is ON' : 'Scheduled mining is OFF')
+            : 'Mine every window without coming back'}
+        </span>
+      </div>
+
+      {/* On-chain config */}
+      {config?.isRegistered && (
+        <div className="automine-card">
+          <div className="automine-card-header">
+            <span className={`automine-status-dot ${config.enabled ? 'on' : 'off'}`} />
+            <span className="automine-card-title">YOUR SCHEDULE</span>
+          </div>
+          <div className="automine-grid">
+            <div className="automine-stat">
+              <span className="automine-stat-label">Tickets / mine</span>
+              <span className="automine-stat-value">{config.ticketsPerMine}</span>
+            </div>
+            <div className="automine-stat">
+              <span className="automine-stat-label">Schedule</span>
+              <span className="automine-stat-value">{config.minesPerWindow} / {config.windowEpochs} ep</span>
+            </div>
+            <div className="automine-stat">
+              <span className="automine-stat-label">This window</span>
+              <span className="automine-stat-value">{config.minesInCurrentWindow} / {config.minesPerWindow}</span>
+            </div>
+            <div className="automine-stat">
+              <span className="automine-stat-label">Last mined</span>
+              <span className="automine-stat-value">
+                {config.lastMinedEpoch > 0 ? `#${config.lastMinedEpoch}` : '—'}
+                {config.lastMinedEpoch > 0 && currentEpoch > 0 && ` (${currentEpoch - config.lastMinedEpoch} ago)`}
+              </span>
+            </div>
+            <div className="automine-stat">
+              <span className="automine-stat-label">Total mined</span>
+              <span className="automine-stat-value">{config.totalMined}</span>
+            </div>
+          </div>
+          <button
+            className="action-button finalize-btn"
+            onClick={handleToggle}
+            disabled={busy}
+          >
+            {busy ? 'CONFIRMING...' : config.enabled ? 'DISABLE AUTO-MINE' : 'ENABLE AUTO-MINE'}
+          </button>
+        </div>
+      )}
+
+      {/* Schedule and stop conditions */}
+      {config?.isRegistered && (
+        <AutoMineScheduleEditor
+          address={address}
+          config={config}
+          currentEpoch={currentEpoch}
+          onConfirmed={loadConfig}
+        />
+      )}
+
+      {/* Deposit / withdraw */}
+      {config?.isRegistered && (
+        <AutoMineVault address={address} config={config} onConfirmed={loadConfig} />
+      )}
+
+      {/* Registration form */}
+      {config && !config.isRegistered && (
+        <div className="automine-card">
+          <div className="automine-card-header">
+            <span className="automine-card-title">REGISTER</span>
+          </div>
+          <div className="automine-form">
+            <label className="automine-field">
+              <span>Tickets per mine</span>
+              <input name="ticketsPerMine" inputMode="numeric" value={form.ticketsPerMine} onChange={handleFieldChange} disabled={busy} />
+            </label>
+            <label className="automine-field">
+              <span>Mines per window</span>
+              <input name="minesPerWindow" inputMode="numeric" value={form.minesPerWindow} onChange={handleFieldChange} disabled={busy} />
+            </label>
+            <label className="automine-field">
+              <span>Window (epochs)</span>
+              <input name="windowEpochs" inputMode="numeric" value={form.windowEpochs} onChange={handleFieldChange} disabled={busy} />
+            </label>
+            <label className="automine-field">
+              <span>Stop after winning (ETH)</span>
+              <input name="stopWinThreshold" inputMode="decimal" placeholder="0 = never" value={form.stopWinThreshold} onChange={handleFieldChange} disabled={busy} />
+            </label>
+            <label className="automine-field checkbox">
+              <input type="checkbox" name="stopOnAnyJackpot" checked={form.stopOnAnyJackpot} onChange={handleFieldChange} disabled={busy} />
+              <span>Stop on any jackpot</span>
+            </label>
+            <label className="automine-field">
+              <span>Initial deposit (ETH)</span>
+              <input name="deposit" inputMode="decimal" placeholder="0.0" value={form.deposit} onChange={handleFieldChange} disabled={busy} />
+            </label>
+          </div>
+          <button
+            className="action-button"
+            onClick={handleRegister}
+            disabled={busy}
+          >
+            {busy ? 'CONFIRMING...' : 'REGISTER'}
+          </button>
+        </div>
+      )}
+
+      {!config && (
+        <div className="wallet-message">Loading auto-mining config...</div>
+      )}
+
+      {/* Status Messages */}
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </div>
+  );
+}
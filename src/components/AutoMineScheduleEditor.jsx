@@ -0,0 +1,224 @@
+/**
+ * AutoMineScheduleEditor Component
+ *
+ * Edit an existing auto-mining schedule and stop conditions without
+ * re-registering. Previews the upcoming epochs the bot will mine before
+ * the user signs: the on-chain answer from shouldMineThisEpoch() for the
+ * stored schedule next to an estimate for the edited one. The estimate is
+ * only shown while it reproduces the on-chain answer for the stored
+ * schedule; the draft itself is simulated against the registry on save.
+ */
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ethers } from 'ethers';
+import {
+  getOnChainMiningEpochs,
+  projectMiningEpochs,
+  projectionMatchesOnChain,
+  validateAutoMineSchedule,
+  parseStopWinThreshold,
+} from '../services/autoMiner';
+import { useAutoMiner } from '../hooks/useAutoMiner';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import { AUTO_MINE_LIMITS, ERROR_MESSAGES } from '../constants/limits';
+import { validateEthInput, sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+
+const formFromConfig = (config) => ({
+  minesPerWindow: String(config.minesPerWindow),
+  windowEpochs: String(config.windowEpochs),
+  stopWinThreshold: config.stopWinThreshold > 0n ? ethers.formatEther(config.stopWinThreshold) : '',
+  stopOnAnyJackpot: config.stopOnAnyJackpot,
+});
+
+export default function AutoMineScheduleEditor({ address, config, currentEpoch, onConfirmed }) {
+  const autoMiner = useAutoMiner();
+  const txTracker = useTransactions();
+
+  const [form, setForm] = useState(() => formFromConfig(config));
+  const [onChainPreview, setOnChainPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Start the preview at the next epoch - the current one may already be mined
+  const fromEpoch = currentEpoch + 1;
+
+  useEffect(() => {
+    if (!address || !currentEpoch) return;
+    let isValid = true;
+    getOnChainMiningEpochs(address, fromEpoch).then((result) => {
+      if (isValid) setOnChainPreview(result);
+    });
+    return () => { isValid = false; };
+  }, [address, fromEpoch, currentEpoch, config]);
+
+  useEffect(() => {
+    if (autoMiner.isConfirmed) {
+      onConfirmed?.();
+    }
+  }, [autoMiner.isConfirmed, onConfirmed]);
+
+  const schedule = useMemo(() => ({
+    minesPerWindow: parseInt(form.minesPerWindow, 10),
+    windowEpochs: parseInt(form.windowEpochs, 10),
+  }), [form.minesPerWindow, form.windowEpochs]);
+
+  const scheduleCheck = validateAutoMineSchedule(schedule);
+  const stopWin = parseStopWinThreshold(form.stopWinThreshold);
+
+  const scheduleChanged = schedule.minesPerWindow !== config.minesPerWindow
+    || schedule.windowEpochs !== config.windowEpochs;
+  const stopChanged = stopWin.valid
+    && (stopWin.wei !== config.stopWinThreshold || form.stopOnAnyJackpot !== config.stopOnAnyJackpot);
+
+  const projectionTrusted = useMemo(
+    () => projectionMatchesOnChain(config, onChainPreview),
+    [config, onChainPreview],
+  );
+
+  const projectedPreview = useMemo(() => {
+    if (!scheduleCheck.valid || !currentEpoch || !projectionTrusted) return null;
+    return projectMiningEpochs(config, schedule, fromEpoch);
+  }, [config, schedule, scheduleCheck.valid, currentEpoch, fromEpoch, projectionTrusted]);
+
+  const handleFieldChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    let next = value;
+    if (type === 'checkbox') {
+      next = checked;
+    } else if (name === 'stopWinThreshold') {
+      next = validateEthInput(value).value;
+    } else {
+      next = value.replace(/[^0-9]/g, '');
+    }
+    setForm(prev => ({ ...prev, [name]: next }));
+    setError('');
+  }, []);
+
+  const runAction = useCallback(async (action, label, doneMessage) => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+    try {
+      const txHash = await action();
+      setSuccess(`✓ TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+      const tx = await txTracker.track(txHash, { kind: 'automine', label, from: address });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      setSuccess(doneMessage);
+    } catch (err) {
+      logger.error('Schedule update failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [txTracker, address]);
+
+  const handleSaveSchedule = useCallback(() => {
+    if (!scheduleCheck.valid) {
+      setError(scheduleCheck.error);
+      return;
+    }
+    runAction(
+      () => autoMiner.updateSchedule(schedule.minesPerWindow, schedule.windowEpochs),
+      `Auto-mine ${schedule.minesPerWindow} per ${schedule.windowEpochs} epoch(s)`,
+      'Schedule updated!',
+    );
+  }, [scheduleCheck, schedule, runAction, autoMiner]);
+
+  const handleSaveStopConditions = useCallback(() => {
+    if (!stopWin.valid) {
+      setError(stopWin.error);
+      return;
+    }
+    runAction(
+      () => autoMiner.updateStopConditions(stopWin.wei, form.stopOnAnyJackpot),
+      'Update auto-mine stop conditions',
+      'Stop conditions updated!',
+    );
+  }, [stopWin, form.stopOnAnyJackpot, runAction, autoMiner]);
+
+  const busy = isLoading || autoMiner.isPending || autoMiner.isConfirming;
+
+  return (
+    <div className="automine-card">
+      <div className="automine-card-header">
+        <span className="automine-card-title">EDIT SCHEDULE</span>
+      </div>
+
+      <div className="automine-form">
+        <label className="automine-field">
+          <span>Mines per window</span>
+          <input name="minesPerWindow" inputMode="numeric" value={form.minesPerWindow} onChange={handleFieldChange} disabled={busy} />
+        </label>
+        <label className="automine-field">
+          <span>Window (epochs)</span>
+          <input name="windowEpochs" inputMode="numeric" value={form.windowEpochs} onChange={handleFieldChange} disabled={busy} />
+        </label>
+      </div>
+
+      {!scheduleCheck.valid && form.minesPerWindow && form.windowEpochs && (
+        <p className="automine-note">{scheduleCheck.error}</p>
+      )}
+
+      {/* Epoch preview: stored schedule (on-chain) vs edited schedule (estimated) */}
+      {onChainPreview && (
+        <div className="automine-preview">
+          <div className="automine-preview-row">
+            <span className="automine-preview-label">Now</span>
+            {onChainPreview.map(({ epoch, willMine }) => (
+              <span key={epoch} className={`automine-preview-cell ${willMine ? 'mine' : ''}`} title={`Epoch ${epoch}`} />
+            ))}
+          </div>
+          {projectedPreview && scheduleChanged && (
+            <div className="automine-preview-row">
+              <span className="automine-preview-label">Est.</span>
+              {projectedPreview.map(({ epoch, willMine }) => (
+                <span key={epoch} className={`automine-preview-cell ${willMine ? 'mine' : ''}`} title={`Epoch ${epoch}`} />
+              ))}
+            </div>
+          )}
+          <span className="automine-note">
+            Epochs #{fromEpoch}–#{fromEpoch + AUTO_MINE_LIMITS.PREVIEW_EPOCHS - 1}
+            {projectedPreview && scheduleChanged && ` · about ${projectedPreview.filter(p => p.willMine).length} mines under the new schedule (estimate)`}
+            {!projectionTrusted && scheduleChanged && ' · No estimate for the new schedule; the registry will confirm it once saved'}
+          </span>
+        </div>
+      )}
+
+      <button
+        className="action-button finalize-btn"
+        onClick={handleSaveSchedule}
+        disabled={busy || !scheduleChanged || !scheduleCheck.valid}
+      >
+        SAVE SCHEDULE
+      </button>
+
+      <div className="automine-form">
+        <label className="automine-field">
+          <span>Stop after winning (ETH)</span>
+          <input name="stopWinThreshold" inputMode="decimal" placeholder="0 = never" value={form.stopWinThreshold} onChange={handleFieldChange} disabled={busy} />
+        </label>
+        <label className="automine-field checkbox">
+          <input type="checkbox" name="stopOnAnyJackpot" checked={form.stopOnAnyJackpot} onChange={handleFieldChange} disabled={busy} />
+          <span>Stop on any jackpot</span>
+        </label>
+      </div>
+
+      <button
+        className="action-button finalize-btn"
+        onClick={handleSaveStopConditions}
+        disabled={busy || !stopChanged}
+      >
+        SAVE STOP CONDITIONS
+      </button>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+/**
+ * AutoMineVault Component
+ *
+ * Deposit / withdraw panel for the ETH the AutoMinerRegistry spends on
+ * scheduled mines, with a projected runway from getProjectedCost().
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getProjectedCost, calculateRunway } from '../services/autoMiner';
+import { useAutoMiner } from '../hooks/useAutoMiner';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import { EPOCH_SECONDS } from '../constants';
+import { ERROR_MESSAGES } from '../constants/limits';
+import { validateEthInput, sanitizeError, formatEthDisplay } from '../utils/validation';
+import logger from '../utils/logger';
+
+export default function AutoMineVault({ address, config, onConfirmed }) {
+  const autoMiner = useAutoMiner();
+  const txTracker = useTransactions();
+
+  const [projected, setProjected] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Projected cost changes with ticket price, service fee and discounts
+  useEffect(() => {
+    if (!address) return;
+    let isValid = true;
+    getProjectedCost(address).then((result) => {
+      if (isValid) setProjected(result);
+    });
+    return () => { isValid = false; };
+  }, [address, config?.ticketsPerMine]);
+
+  useEffect(() => {
+    if (autoMiner.isConfirmed) {
+      onConfirmed?.();
+    }
+  }, [autoMiner.isConfirmed, onConfirmed]);
+
+  const deposited = config?.depositedBalance || 0n;
+  const runway = projected
+    ? calculateRunway(deposited, projected.totalCost, config.minesPerWindow, config.windowEpochs)
+    : null;
+
+  const parseAmount = useCallback(() => {
+    const { value } = validateEthInput(amount);
+    if (!value) return null;
+    try {
+      const wei = ethers.parseEther(value);
+      return wei > 0n ? wei : null;
+    } catch {
+      return null;
+    }
+  }, [amount]);
+
+  const runAction = useCallback(async (action, label, doneMessage) => {
+    setIsLoading(true);
+    setError('');
+    setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+    try {
+      const txHash = await action();
+      setSuccess(`✓ TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+      setAmount('');
+      const tx = await txTracker.track(txHash, { kind: 'vault', label, from: address });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      setSuccess(doneMessage);
+    } catch (err) {
+      logger.error('Vault action failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [txTracker, address]);
+
+  const handleDeposit = useCallback(() => {
+    const wei = parseAmount();
+    if (!wei) {
+      setError(ERROR_MESSAGES.ZERO_DEPOSIT);
+      return;
+    }
+    runAction(() => autoMiner.deposit(wei), `Deposit ${ethers.formatEther(wei)} ETH to auto-mine`, 'Deposit confirmed!');
+  }, [parseAmount, runAction, autoMiner]);
+
+  const handleWithdraw = useCallback(() => {
+    const wei = parseAmount();
+    if (!wei) {
+      setError(ERROR_MESSAGES.INVALID_AMOUNT);
+      return;
+    }
+    if (wei > deposited) {
+      setError(ERROR_MESSAGES.DEPOSIT_TOO_LOW);
+      return;
+    }
+    runAction(() => autoMiner.withdraw(wei), `Withdraw ${ethers.formatEther(wei)} ETH from auto-mine`, 'Withdrawal confirmed!');
+  }, [parseAmount, deposited, runAction, autoMiner]);
+
+  const handleEmergencyWithdraw = useCallback(() => {
+    if (deposited === 0n) {
+      setError(ERROR_MESSAGES.DEPOSIT_TOO_LOW);
+      return;
+    }
+    runAction(() => autoMiner.emergencyWithdraw(), 'Emergency withdraw auto-mine balance', 'Emergency withdrawal confirmed!');
+  }, [deposited, runAction, autoMiner]);
+
+  const busy = isLoading || autoMiner.isPending || autoMiner.isConfirming;
+  const runwayHours = runway ? (runway.epochs * EPOCH_SECONDS) / 3600 : 0;
+
+  return (
+    <div className="automine-card">
+      <div className="automine-card-header">
+        <span className="automine-card-title">VAULT</span>
+      </div>
+
+      <div className="automine-grid">
+        <div className="automine-stat">
+          <span className="automine-stat-label">Deposited</span>
+          <span className="automine-stat-value">{formatEthDisplay(ethers.formatEther(deposited))} ETH</span>
+        </div>
+        <div className="automine-stat">
+          <span className="automine-stat-label">Cost / mine</span>
+          <span className="automine-stat-value">
+            {projected ? `${formatEthDisplay(ethers.formatEther(projected.totalCost))} ETH` : '—'}
+          </span>
+        </div>
+        <div className="automine-stat">
+          <span className="automine-stat-label">Tickets + fee</span>
+          <span className="automine-stat-value">
+            {projected
+              ? `${formatEthDisplay(ethers.formatEther(projected.ticketCost))} + ${formatEthDisplay(ethers.formatEther(projected.serviceFee))}`
+              : '—'}
+          </span>
+        </div>
+        <div className="automine-stat">
+          <span className="automine-stat-label">Runway</span>
+          <span className="automine-stat-value">
+            {runway ? `${runway.mines} mines · ${runway.epochs} ep` : '—'}
+          </span>
+        </div>
+      </div>
+
+      {runway && (
+        <p className="automine-note">
+          {runway.mines === 0
+            ? 'Deposit is below the cost of one mine. Top up to keep auto-mining.'
+            : `Lasts about ${runwayHours < 1 ? `${Math.round(runwayHours * 60)} min` : `${runwayHours.toFixed(1)} h`} at your current schedule.`}
+        </p>
+      )}
+
+      <label className="automine-field">
+        <span>Amount (ETH)</span>
+        <input
+          inputMode="decimal"
+          placeholder="0.0"
+          value={amount}
+          onChange={(e) => { setAmount(validateEthInput(e.target.value).value); setError(''); }}
+          disabled={busy}
+        />
+      </label>
+
+      <div className="automine-actions">
+        <button className="action-button" onClick={handleDeposit} disabled={busy}>
+          DEPOSIT
+        </button>
+        <button className="action-button finalize-btn" onClick={handleWithdraw} disabled={busy || deposited === 0n}>
+          WITHDRAW
+        </button>
+      </div>
+      <button
+        className="action-button reset-btn"
+        onClick={handleEmergencyWithdraw}
+        disabled={busy || deposited === 0n}
+        title="Withdraw your entire deposit immediately"
+      >
+        EMERGENCY WITHDRAW ALL
+      </button>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </div>
+  );
+}
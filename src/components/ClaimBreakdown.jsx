@@ -0,0 +1,157 @@
+/**
+ * ClaimBreakdown Component
+ *
+ * Expandable per-epoch view of claimable rewards. Shows the user's share
+ * of each epoch from getEpochUserClaimView() and lets the user claim a
+ * chosen subset instead of everything at once.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getClaimBreakdown } from '../services/contracts';
+import { CLAIM_LIMITS } from '../constants/limits';
+import './ClaimBreakdown.css';
+
+const formatNara = (wei) => {
+  if (wei == null) return '—';
+  const n = Number(ethers.formatEther(wei));
+  return n < 1 ? n.toFixed(4) : n.toFixed(2);
+};
+
+const formatShare = (user, total) => {
+  if (!total || total === 0n) return '—';
+  return `${(Number((user * 1000000n) / total) / 10000).toFixed(2)}%`;
+};
+
+const isSelectable = (row, payable) => row.canClaim && !row.claimed && !row.expired && payable.has(row.epoch);
+
+const toEpochSet = (key) => new Set(key ? key.split(',').map(Number) : []);
+
+export default function ClaimBreakdown({ address, claimableEpochs, currentEpoch, claimWindow, onClaimSelected, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [rows, setRows] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+
+  // The snapshot hands over a fresh array on every refresh; key reloads by value
+  const claimableKey = (claimableEpochs || []).join(',');
+  // Epochs the reward pool can currently cover (from getClaimableEpochsBatch service)
+  const payable = toEpochSet(claimableKey);
+
+  const load = useCallback(async () => {
+    if (!address) return;
+    setIsLoading(true);
+    const result = await getClaimBreakdown(address);
+    // Oldest epochs expire first - list them by urgency
+    const sorted = result && [...result].sort((a, b) => a.epoch - b.epoch);
+    setRows(sorted);
+    // Keep selections that are still claimable; drop claimed/expired ones
+    const payableNow = toEpochSet(claimableKey);
+    const stillSelectable = new Set((sorted || [])
+      .filter(row => isSelectable(row, payableNow))
+      .map(row => row.epoch));
+    setSelected(prev => new Set([...prev].filter(epoch => stillSelectable.has(epoch))));
+    setIsLoading(false);
+  }, [address, claimableKey]);
+
+  // A different wallet starts with nothing selected
+  useEffect(() => {
+    setSelected(new Set());
+  }, [address]);
+
+  // Reload whenever the open table's claimable set changes (e.g. after a claim)
+  useEffect(() => {
+    if (isOpen) load();
+  }, [isOpen, load]);
+
+  const toggle = useCallback((epoch) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(epoch)) {
+        next.delete(epoch);
+      } else if (next.size < CLAIM_LIMITS.MAX_EPOCHS) {
+        next.add(epoch);
+      }
+      return next;
+    });
+  }, []);
+
+  const selectedRows = (rows || []).filter(r => selected.has(r.epoch));
+  const selectedTotal = selectedRows.reduce((sum, r) => sum + r.claimableAmount, 0n);
+
+  const handleClaimSelected = () => {
+    if (selectedRows.length === 0) return;
+    onClaimSelected(selectedRows.map(r => r.epoch), ethers.formatEther(selectedTotal));
+  };
+
+  return (
+    <div className="claim-breakdown">
+      <button className="claim-breakdown-toggle" onClick={() => setIsOpen(o => !o)}>
+        {isOpen ? '▾ HIDE EPOCHS' : '▸ SHOW EPOCHS'}
+      </button>
+
+      {isOpen && (
+        <>
+          {isLoading && !rows && <div className="wallet-message">Loading epochs...</div>}
+          {rows && rows.length === 0 && <div className="wallet-message">No epochs with rewards</div>}
+
+          {rows && rows.length > 0 && (
+            <div className="claim-breakdown-table">
+              <div className="claim-breakdown-row head">
+                <span />
+                <span>Epoch</span>
+                <span>Share</span>
+                <span>Emission</span>
+                <span>Reward</span>
+              </div>
+              {rows.map(row => {
+                const selectable = isSelectable(row, payable);
+                let status = null;
+                if (row.claimed) status = 'claimed';
+                else if (row.expired) status = 'expired';
+                else if (!payable.has(row.epoch)) status = 'pool short';
+                else if (currentEpoch && claimWindow) {
+                  const epochsLeft = row.epoch + claimWindow - currentEpoch;
+                  if (epochsLeft <= CLAIM_LIMITS.EXPIRY_WARNING_EPOCHS) status = `expires in ${Math.max(0, epochsLeft)} ep`;
+                }
+
+                return (
+                  <label
+                    key={row.epoch}
+                    className={`claim-breakdown-row ${selectable ? '' : 'inactive'}`}
+                    title={`${row.userWeighted} / ${row.totalWeighted} weighted tickets`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.has(row.epoch)}
+                      onChange={() => toggle(row.epoch)}
+                      disabled={!selectable || disabled}
+                    />
+                    <span>#{row.epoch}</span>
+                    <span>{formatShare(row.userWeighted, row.totalWeighted)}</span>
+                    <span>{formatNara(row.totalEmission)}</span>
+                    <span>
+                      {formatNara(row.previewAmount ?? row.claimableAmount)}
+                      {status && <em className="claim-breakdown-flag">{status}</em>}
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          )}
+
+          {rows && rows.length > 0 && (
+            <button
+              className="action-button finalize-btn"
+              onClick={handleClaimSelected}
+              disabled={disabled || selectedRows.length === 0}
+            >
+              {selectedRows.length === 0
+                ? 'SELECT EPOCHS TO CLAIM'
+                : `CLAIM ${selectedRows.length} · ${formatNara(selectedTotal)} NARA`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+/**
+ * ClaimExpiryWarning Component
+ *
+ * Rewards can only be claimed for claimWindowEpochs after an epoch ends;
+ * after that the claim reverts with ClaimExpired. Lists unclaimed epochs
+ * closest to expiry and offers a one-tap claim of the urgent ones.
+ */
+import React from 'react';
+import { getClaimExpiry } from '../services/contracts';
+import { CLAIM_LIMITS } from '../constants/limits';
+import './ClaimExpiryWarning.css';
+
+// Urgent epochs listed before collapsing into "+N more"
+const MAX_LISTED = 5;
+
+const formatCountdown = (seconds) => {
+  if (seconds < 3600) return `${Math.max(1, Math.ceil(seconds / 60))} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+export default function ClaimExpiryWarning({
+  claimableData,
+  currentEpoch,
+  claimWindow,
+  secondsRemaining,
+  onClaimExpiring,
+  disabled,
+}) {
+  if (!claimableData?.epochs?.length || !currentEpoch || !claimWindow) return null;
+
+  const amountByEpoch = new Map(
+    claimableData.epochs.map((epoch, i) => [epoch, parseFloat(claimableData.amounts[i] || 0)])
+  );
+  const urgent = getClaimExpiry(claimableData.epochs, currentEpoch, claimWindow, secondsRemaining)
+    .filter((e) => e.isUrgent)
+    .slice(0, CLAIM_LIMITS.MAX_EPOCHS);
+
+  if (urgent.length === 0) return null;
+
+  const urgentTotal = urgent.reduce((sum, { epoch }) => sum + (amountByEpoch.get(epoch) || 0), 0);
+
+  return (
+    <div className="claim-expiry-warning">
+      <div className="alert-title">⏳ Rewards expiring soon</div>
+      <ul className="claim-expiry-list">
+        {urgent.slice(0, MAX_LISTED).map(({ epoch, epochsLeft, secondsLeft }) => (
+          <li key={epoch} className={epochsLeft <= 1 ? 'critical' : ''}>
+            <span>Epoch #{epoch} · {(amountByEpoch.get(epoch) || 0).toFixed(2)} NARA</span>
+            <span>{formatCountdown(secondsLeft)}</span>
+          </li>
+        ))}
+        {urgent.length > MAX_LISTED && (
+          <li className="more">+{urgent.length - MAX_LISTED} more</li>
+        )}
+      </ul>
+      <button
+        className="action-button finalize-btn"
+        onClick={() => onClaimExpiring(urgent.map((e) => e.epoch), String(urgentTotal))}
+        disabled={disabled}
+      >
+        CLAIM EXPIRING FIRST ({urgent.length})
+      </button>
+    </div>
+  );
+}
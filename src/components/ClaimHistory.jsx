@@ -0,0 +1,102 @@
+/**
+ * ClaimHistory Component
+ *
+ * Paginated list of the user's claims, indexed from Claimed / BatchClaimed
+ * logs (see services/claimHistory). Lifetime total covers every indexed claim,
+ * not just the visible page. Older blocks are backfilled in the background
+ * until the scan reaches the deploy block; until then the total is labelled
+ * as partial.
+ */
+import React, { useState, useEffect } from 'react';
+import { getClaimHistory } from '../services/claimHistory';
+import { CONFIG } from '../constants';
+import { CLAIM_LIMITS } from '../constants/limits';
+import './ClaimHistory.css';
+
+export default function ClaimHistory({ address, refreshKey }) {
+  const [history, setHistory] = useState(null);
+  const [page, setPage] = useState(0);
+
+  useEffect(() => {
+    setHistory(null);
+    setPage(0);
+  }, [address]);
+
+  useEffect(() => {
+    if (!address) return;
+    let isValid = true;
+    getClaimHistory(address).then((result) => {
+      if (isValid && result) setHistory(result);
+    });
+    return () => { isValid = false; };
+  }, [address, refreshKey]);
+
+  // Each sync backfills one more window of older blocks; keep syncing until
+  // the history is complete (a failed sync stops until the next refresh)
+  useEffect(() => {
+    if (!address || !history || history.complete) return;
+    let isValid = true;
+    const timer = setTimeout(() => {
+      getClaimHistory(address).then((result) => {
+        if (isValid && result) setHistory(result);
+      });
+    }, CLAIM_LIMITS.HISTORY_BACKFILL_DELAY_MS);
+    return () => {
+      isValid = false;
+      clearTimeout(timer);
+    };
+  }, [address, history]);
+
+  if (!history || (history.complete && !history.entries.length)) return null;
+
+  const pageCount = Math.ceil(history.entries.length / CLAIM_LIMITS.HISTORY_PAGE_SIZE);
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = history.entries.slice(
+    currentPage * CLAIM_LIMITS.HISTORY_PAGE_SIZE,
+    (currentPage + 1) * CLAIM_LIMITS.HISTORY_PAGE_SIZE
+  );
+
+  return (
+    <div className="claim-history">
+      <div className="history-header">
+        <span className="history-title">CLAIM HISTORY ({history.entries.length})</span>
+        <span className="history-total" title={history.complete ? undefined : `Claims before block ${history.scannedFrom} not indexed yet`}>
+          {history.complete ? 'Total' : 'Partial total'}: {parseFloat(history.totalClaimed).toFixed(2)} NARA
+        </span>
+      </div>
+      {!history.complete && (
+        <div className="claim-history-pager">
+          <span>Indexing older claims… back to block {history.scannedFrom.toLocaleString()}</span>
+        </div>
+      )}
+      <div className="history-list">
+        {visible.map((item) => (
+          <a
+            key={item.txHash}
+            className="history-item"
+            href={`${CONFIG.explorerUrl}/tx/${item.txHash}`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <div className="history-item-left">
+              <span className="history-amount">+{parseFloat(item.amount).toFixed(2)} NARA</span>
+              <span className="history-epochs">
+                {item.epochs.length === 1 ? `Epoch #${item.epochs[0]}` : `${item.epochs.length} epochs`}
+              </span>
+            </div>
+            <span className="history-date">
+              {item.timestamp ? new Date(item.timestamp).toLocaleDateString() : `Block ${item.blockNumber}`}
+            </span>
+          </a>
+        ))}
+      </div>
+      {pageCount > 1 && (
+        <div className="claim-history-pager">
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>‹ PREV</button>
+          <span>{currentPage + 1} / {pageCount}</span>
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>NEXT ›</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * DeploymentGate Component
+ *
+ * Runs the boot-time deployment check (services/deploymentCheck) and only
+ * renders the app once it passes. A misconfigured deployment gets a blocking
+ * screen listing every check; an unreachable RPC does not block, but the app
+ * shows an "unverified" warning and the check runs again as soon as the RPC
+ * pool has a healthy endpoint. Non-blocking manifest warnings (no
+ * deployBlock) are shown the same way above a working app.
+ */
+import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { verifyDeployment } from '../services/deploymentCheck';
+import { subscribeRpcPool, getRpcPoolState } from '../services/rpcPool';
+import { CONFIG } from '../constants';
+import NetworkSwitcher from './NetworkSwitcher';
+import './DeploymentGate.css';
+
+export default function DeploymentGate({ children }) {
+  const [result, setResult] = useState(null);
+  const { endpoints } = useSyncExternalStore(subscribeRpcPool, getRpcPoolState);
+  const hasHealthyRpc = endpoints.some((ep) => ep.status === 'healthy');
+  const isUnverified = result?.status === 'unreachable';
+
+  // First run, then again each time the pool regains a healthy endpoint while unverified
+  const shouldVerify = !result || (isUnverified && hasHealthyRpc);
+  useEffect(() => {
+    if (!shouldVerify) return undefined;
+    let isValid = true;
+    verifyDeployment().then((r) => {
+      if (isValid) setResult(r);
+    });
+    return () => { isValid = false; };
+  }, [shouldVerify, hasHealthyRpc]);
+
+  if (!result) {
+    return (
+      <div className="deployment-gate">
+        <p className="deployment-gate-checking">Verifying {CONFIG.chainName} deployment…</p>
+      </div>
+    );
+  }
+
+  if (result.status !== 'misconfigured') {
+    const warnings = isUnverified
+      ? [`${CONFIG.chainName} deployment unverified: RPC unreachable. Retrying when a connection is available.`, ...result.warnings]
+      : result.warnings;
+    if (warnings.length === 0) return children;
+
+    return (
+      <>
+        <div className="deployment-gate-warnings">
+          {warnings.map((warning) => (
+            <div key={warning} className="deployment-gate-warning">⚠ {warning}</div>
+          ))}
+        </div>
+        {children}
+      </>
+    );
+  }
+
+  return (
+    <div className="deployment-gate">
+      <div className="deployment-gate-card">
+        <h2>Misconfigured deployment</h2>
+        <p className="deployment-gate-intro">
+          The contracts configured for {CONFIG.chainName} ({CONFIG.chainId}) failed verification.
+          Mining is disabled until the deployment manifest is fixed.
+        </p>
+
+        <ul className="deployment-gate-checks">
+          {result.checks.map((check, i) => (
+            <li key={i} className={check.ok ? 'ok' : 'failed'}>
+              <span className="deployment-gate-mark">{check.ok ? '✓' : '✗'}</span>
+              <span>
+                {check.label}
+                {check.detail && <em>{check.detail}</em>}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="deployment-gate-actions">
+          <NetworkSwitcher />
+          <button className="deployment-gate-retry" onClick={() => window.location.reload()}>
+            RETRY
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
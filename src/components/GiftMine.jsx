@@ -0,0 +1,178 @@
+/**
+ * GiftMine Component
+ *
+ * "Mine for a friend": pay for tickets credited to another address with
+ * requestMineFor(). The recipient is checked before signing - valid address,
+ * canMine eligibility and room left under their effective epoch cap.
+ * Gifted requests sit in the recipient's queue until finalized.
+ */
+import React, { useState, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getGiftRecipientStatus } from '../services/mining';
+import { useMining } from '../hooks/useMining';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import { MINING_LIMITS, ERROR_MESSAGES } from '../constants/limits';
+import { isValidAddress, sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+import './GiftMine.css';
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+export default function GiftMine({ address, ticketPrice }) {
+  const mining = useMining();
+  const txTracker = useTransactions();
+
+  const [recipient, setRecipient] = useState('');
+  const [ticketInput, setTicketInput] = useState('1');
+  const [status, setStatus] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const tickets = parseInt(ticketInput, 10) || 0;
+  const costWei = ticketPrice ? BigInt(tickets) * ticketPrice : 0n;
+
+  const checkRecipient = useCallback(async (target) => {
+    setStatus(null);
+    setError('');
+    if (!isValidAddress(target)) {
+      if (target) setError(ERROR_MESSAGES.INVALID_ADDRESS);
+      return null;
+    }
+    if (target.toLowerCase() === address?.toLowerCase()) {
+      setError('Use MINE to mine for yourself.');
+      return null;
+    }
+    setIsChecking(true);
+    const result = await getGiftRecipientStatus(target);
+    setIsChecking(false);
+    if (!result) {
+      setError(ERROR_MESSAGES.NETWORK_ERROR);
+      return null;
+    }
+    setStatus(result);
+    return result;
+  }, [address]);
+
+  const handleRecipientChange = (e) => {
+    setRecipient(e.target.value.trim());
+    setStatus(null);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleTicketChange = (e) => {
+    const value = e.target.value;
+    if (value === '' || /^\d+$/.test(value)) setTicketInput(value);
+  };
+
+  const handleGift = useCallback(async () => {
+    setSuccess('');
+    if (tickets <= 0) {
+      setError('Enter a valid ticket amount');
+      return;
+    }
+    if (!ticketPrice) {
+      setError('Loading price...');
+      return;
+    }
+    if (costWei > MINING_LIMITS.MAX_WEI) {
+      setError(`Maximum ${MINING_LIMITS.MAX_ETH} ETH per transaction`);
+      return;
+    }
+
+    // Always re-check right before signing - eligibility and cap move every epoch
+    const current = await checkRecipient(recipient);
+    if (!current) return;
+    if (!current.canMine) {
+      setError(ERROR_MESSAGES.RECIPIENT_NOT_ELIGIBLE);
+      return;
+    }
+    if (tickets > current.remainingCap) {
+      setError(current.remainingCap === 0
+        ? 'Recipient has reached their epoch cap. Try again next epoch.'
+        : `Recipient can only receive ${current.remainingCap} more ticket(s) this epoch.`);
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    try {
+      setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+      const txHash = await mining.requestMineFor(recipient, BigInt(tickets), costWei);
+      logger.tx('gift:sent', { tickets, hash: txHash.slice(0, 10) });
+      setSuccess(`✓ TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+
+      const tx = await txTracker.track(txHash, {
+        kind: 'gift',
+        label: `Gift ${tickets} ticket${tickets === 1 ? '' : 's'} to ${shortAddress(recipient)}`,
+        from: address,
+      });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      setSuccess(`✓ Gifted ${tickets} ticket(s) to ${shortAddress(recipient)}. They can finalize once the request matures.`);
+      setStatus(null);
+    } catch (err) {
+      logger.error('Gift mining failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [tickets, ticketPrice, costWei, recipient, checkRecipient, mining, txTracker, address]);
+
+  return (
+    <div className="gift-mine">
+      <div className="gift-mine-title">MINE FOR A FRIEND</div>
+
+      <input
+        type="text"
+        className="gift-mine-input"
+        placeholder="Recipient address (0x...)"
+        value={recipient}
+        onChange={handleRecipientChange}
+        onBlur={() => recipient && checkRecipient(recipient)}
+        disabled={isLoading}
+      />
+
+      <div className="gift-mine-row">
+        <input
+          type="text"
+          inputMode="numeric"
+          className="gift-mine-input tickets"
+          value={ticketInput}
+          onChange={handleTicketChange}
+          disabled={isLoading}
+        />
+        <span className="gift-mine-cost">
+          tickets = {ticketPrice ? ethers.formatEther(costWei) : '—'} ETH
+        </span>
+      </div>
+
+      {isChecking && <div className="gift-mine-status">Checking recipient...</div>}
+      {status && (
+        <div className={`gift-mine-status ${status.canMine && status.remainingCap > 0 ? 'ok' : 'blocked'}`}>
+          {status.canMine ? '✓ Eligible' : '✗ Not eligible to mine'}
+          {' · '}
+          {status.remainingCap} of {status.effectiveCap} tickets left this epoch
+          {status.queuedTickets > 0 && ` (${status.queuedTickets} queued)`}
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      <button
+        className="action-button finalize-btn"
+        onClick={handleGift}
+        disabled={isLoading || isChecking || !recipient || tickets <= 0}
+      >
+        {isLoading ? 'SENDING...' : `GIFT ${tickets || 0} TICKET${tickets === 1 ? '' : 'S'}`}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * HelpFinalize Component
+ *
+ * Anyone can finalize another user's matured mines with finalizeMinesFor()
+ * and earn KEEPER_FEE_BPS of the finalized deposits. Finds users with
+ * unfinalized requests (or takes an address) and quotes the fee first.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getKeeperFeeBps, getUsersWithPendingMines, getFinalizeQuote } from '../services/keeper';
+import { useMining } from '../hooks/useMining';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import { LOG_LIMITS, ERROR_MESSAGES } from '../constants/limits';
+import { sanitizeError, isValidAddress, formatEthDisplay } from '../utils/validation';
+import logger from '../utils/logger';
+import './AutoMinePanel.css';
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+export default function HelpFinalize({ address }) {
+  const mining = useMining();
+  const txTracker = useTransactions();
+
+  const [feeBps, setFeeBps] = useState(0);
+  const [quotes, setQuotes] = useState([]);
+  const [manualAddress, setManualAddress] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
+  const [isPartialScan, setIsPartialScan] = useState(false);
+  const [sendingFor, setSendingFor] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    getKeeperFeeBps().then(setFeeBps);
+  }, []);
+
+  const quoteUsers = useCallback(async (users) => {
+    const results = await Promise.all(users.map((user) => getFinalizeQuote(user, feeBps)));
+    return results.filter((q) => q && q.readyCount > 0);
+  }, [feeBps]);
+
+  const scan = useCallback(async () => {
+    setIsScanning(true);
+    setError('');
+    setSuccess('');
+    try {
+      const pending = await getUsersWithPendingMines();
+      if (!pending) {
+        setError('Could not scan for pending mines. Please try again.');
+        return;
+      }
+      setIsPartialScan(pending.partial);
+      // Finalizing your own mines goes through the MINE view (no fee)
+      const others = pending.users
+        .map(({ user }) => user)
+        .filter((user) => user.toLowerCase() !== address?.toLowerCase());
+      const ready = await quoteUsers(others);
+      setQuotes(ready);
+      if (ready.length === 0) setSuccess('No matured mines to finalize right now.');
+    } catch (err) {
+      logger.error('Help finalize scan failed', err);
+      setError(sanitizeError(err));
+    } finally {
+      setIsScanning(false);
+    }
+  }, [address, quoteUsers]);
+
+  const lookup = useCallback(async () => {
+    const user = manualAddress.trim();
+    setError('');
+    setSuccess('');
+    if (!isValidAddress(user)) {
+      setError(ERROR_MESSAGES.INVALID_ADDRESS);
+      return;
+    }
+    const [quote] = await quoteUsers([user]);
+    if (!quote) {
+      setSuccess(`${shortAddress(user)} has no matured mines to finalize.`);
+      return;
+    }
+    setQuotes((prev) => [quote, ...prev.filter((q) => q.user.toLowerCase() !== user.toLowerCase())]);
+  }, [manualAddress, quoteUsers]);
+
+  const handleFinalizeFor = useCallback(async (quote) => {
+    setSendingFor(quote.user);
+    setError('');
+    setSuccess('📱 Opening wallet... Check your wallet app to confirm!');
+    try {
+      // Re-quote so the count reflects the latest block and cap
+      const fresh = await getFinalizeQuote(quote.user, feeBps);
+      if (!fresh || fresh.readyCount === 0) {
+        setSuccess('');
+        setError('These mines were already finalized.');
+        setQuotes((prev) => prev.filter((q) => q.user !== quote.user));
+        return;
+      }
+      const txHash = await mining.finalizeMinesFor(fresh.user, fresh.readyCount);
+      logger.tx('finalizeFor:sent', { user: fresh.user, count: fresh.readyCount, hash: txHash.slice(0, 10) });
+      setSuccess(`✓ TX sent: ${txHash.slice(0, 10)}... Waiting for confirmation...`);
+
+      const tx = await txTracker.track(txHash, {
+        kind: 'finalizeFor',
+        label: `Finalize ${fresh.readyCount} mine(s) for ${shortAddress(fresh.user)}`,
+        from: address,
+      });
+      if (tx.status !== 'confirmed') throw new Error(getSettlementError(tx));
+      setSuccess(`✓ Finalized ${fresh.readyCount} mine(s) for ${shortAddress(fresh.user)}.`);
+      setQuotes((prev) => prev.filter((q) => q.user !== quote.user));
+    } catch (err) {
+      logger.error('finalizeMinesFor failed', err);
+      const msg = sanitizeError(err);
+      setSuccess('');
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setError(msg);
+      }
+    } finally {
+      setSendingFor(null);
+    }
+  }, [feeBps, mining, txTracker, address]);
+
+  const totalFee = quotes.reduce((sum, q) => sum + q.fee, 0n);
+  const busy = isScanning || sendingFor !== null;
+
+  return (
+    <div className="automine-card">
+      <div className="automine-card-header">
+        <span className="automine-card-title">HELP FINALIZE</span>
+        <span className="automine-stat-label">{(feeBps / 100).toFixed(2)}% fee</span>
+      </div>
+      <p className="automine-note">
+        Finalize matured mines for other users and earn the keeper fee. It unblocks anyone whose mines are stuck.
+      </p>
+
+      <label className="automine-field address">
+        <span>Address</span>
+        <input
+          type="text"
+          value={manualAddress}
+          onChange={(e) => setManualAddress(e.target.value)}
+          placeholder="0x..."
+          disabled={busy}
+        />
+      </label>
+      <div className="automine-actions">
+        <button className="action-button reset-btn" onClick={lookup} disabled={busy || !manualAddress}>
+          CHECK ADDRESS
+        </button>
+        <button className="action-button finalize-btn" onClick={scan} disabled={busy}>
+          {isScanning ? 'SCANNING...' : 'FIND PENDING'}
+        </button>
+      </div>
+
+      {quotes.length > 0 && (
+        <>
+          <div className="history-list automine-user-list">
+            {quotes.map((quote) => (
+              <div key={quote.user} className="history-item">
+                <div className="history-item-left">
+                  <span className="history-epochs" title={quote.user}>{shortAddress(quote.user)}</span>
+                  <span className="history-date">
+                    {quote.readyCount}/{quote.pending} ready · fee {formatEthDisplay(ethers.formatEther(quote.fee))} ETH
+                  </span>
+                </div>
+                <button
+                  className="action-button finalize-btn help-finalize-btn"
+                  onClick={() => handleFinalizeFor(quote)}
+                  disabled={busy}
+                >
+                  {sendingFor === quote.user ? '...' : `FINALIZE ${quote.readyCount}`}
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="automine-note">
+            Total available fees: {formatEthDisplay(ethers.formatEther(totalFee))} ETH
+          </div>
+        </>
+      )}
+
+      {isPartialScan && (
+        <p className="automine-note">
+          ⚠ Partial scan: no deploy block is configured, so only requests from the last
+          ~{LOG_LIMITS.DEFAULT_LOOKBACK_BLOCKS.toLocaleString()} blocks were found. Use CHECK ADDRESS for older ones.
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </div>
+  );
+}
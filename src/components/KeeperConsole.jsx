@@ -0,0 +1,249 @@
+/**
+ * KeeperConsole Component
+ *
+ * Anyone can keep the AutoMinerRegistry running: scan registered users,
+ * find the ones due this epoch, and mine for them with mineBatch() in
+ * exchange for the keeper tip. Also hosts HelpFinalize for finalizing
+ * other users' matured mines.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import {
+  getRegisteredUsers,
+  getDueUsers,
+  getKeeperTipBps,
+  estimateKeeperTip,
+  getKeeperTipsEarned,
+} from '../services/keeper';
+import { useAutoMiner } from '../hooks/useAutoMiner';
+import { useTransactions } from '../hooks/useTransactions';
+import { getSettlementError } from '../services/txTracker';
+import HelpFinalize from './HelpFinalize';
+import { KEEPER_LIMITS, LOG_LIMITS, ERROR_MESSAGES } from '../constants/limits';
+import { sanitizeError, formatEthDisplay } from '../utils/validation';
+import logger from '../utils/logger';
+import './AutoMinePanel.css';
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+export default function KeeperConsole({ address, currentEpoch }) {
+  const autoMiner = useAutoMiner();
+  const txTracker = useTransactions();
+
+  const [registeredCount, setRegisteredCount] = useState(null);
+  const [dueUsers, setDueUsers] = useState([]);
+  const [scannedEpoch, setScannedEpoch] = useState(null);
+  // No deploy block: scans only cover the lookback window
+  const [isPartialScan, setIsPartialScan] = useState(false);
+  const [tipBps, setTipBps] = useState(0);
+  const [earned, setEarned] = useState(null);
+  const [earnedFailed, setEarnedFailed] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    getKeeperTipBps().then(setTipBps);
+  }, []);
+
+  useEffect(() => {
+    if (!address) return;
+    let isValid = true;
+    getKeeperTipsEarned(address).then((result) => {
+      if (!isValid) return;
+      setEarned(result);
+      setEarnedFailed(!result);
+    });
+    return () => { isValid = false; };
+  }, [address, txTracker.lastConfirmedHash]);
+
+  const scan = useCallback(async () => {
+    if (!currentEpoch) return;
+    setIsScanning(true);
+    setError('');
+    try {
+      const result = await getRegisteredUsers();
+      if (!result) {
+        setRegisteredCount(null);
+        setDueUsers([]);
+        setScannedEpoch(null);
+        setError('Could not scan registrations. Please try again.');
+        return;
+      }
+      setRegisteredCount(result.users.length);
+      setIsPartialScan(result.partial);
+      const due = await getDueUsers(result.users, currentEpoch);
+      setDueUsers(due);
+      setScannedEpoch(currentEpoch);
+    } catch (err) {
+      logger.error('Keeper scan failed', err);
+      setError(sanitizeError(err));
+    } finally {
+      setIsScanning(false);
+    }
+  }, [currentEpoch]);
+
+  // Due users change every epoch; drop stale results
+  useEffect(() => {
+    if (scannedEpoch !== null && scannedEpoch !== currentEpoch) {
+      setDueUsers([]);
+      setScannedEpoch(null);
+    }
+  }, [currentEpoch, scannedEpoch]);
+
+  const handleMineBatch = useCallback(async () => {
+    if (dueUsers.length === 0) return;
+
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    const users = dueUsers.map(({ user }) => user);
+    const batches = [];
+    for (let i = 0; i < users.length; i += KEEPER_LIMITS.MAX_BATCH_USERS) {
+      batches.push(users.slice(i, i + KEEPER_LIMITS.MAX_BATCH_USERS));
+    }
+
+    // Send every batch first, then wait for all receipts; a batch that
+    // fails to send stops the rest, but those already sent are still reported
+    const sent = [];
+    const failed = [];
+    let sendError = null;
+    for (let i = 0; i < batches.length; i++) {
+      try {
+        setSuccess(`📱 Confirm batch ${i + 1}/${batches.length} in your wallet...`);
+        const txHash = batches[i].length === 1
+          ? await autoMiner.mineForUser(batches[i][0])
+          : await autoMiner.mineBatch(batches[i]);
+        logger.tx('keeper:batch', { batch: i + 1, users: batches[i].length, hash: txHash.slice(0, 10) });
+        sent.push({
+          index: i,
+          users: batches[i].length,
+          settled: txTracker.track(txHash, {
+            kind: 'keeper',
+            label: `Keeper: mine for ${batches[i].length} user(s)`,
+            from: address,
+          }),
+        });
+      } catch (err) {
+        logger.error('mineBatch failed', err);
+        const msg = sanitizeError(err);
+        if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+          sendError = `Batch ${i + 1}/${batches.length} not sent: ${msg}`;
+        }
+        break;
+      }
+    }
+
+    if (sent.length > 0) {
+      setSuccess(`✓ Sent ${sent.length} batch(es). Waiting for confirmation...`);
+      const settled = await Promise.all(sent.map(({ settled: tx }) => tx));
+      let minedUsers = 0;
+      settled.forEach((tx, j) => {
+        const { index, users: count } = sent[j];
+        if (tx.status === 'confirmed') {
+          minedUsers += count;
+        } else {
+          failed.push(`Batch ${index + 1}/${batches.length} (${count} user(s)): ${getSettlementError(tx)}`);
+        }
+      });
+      const confirmedCount = settled.filter((tx) => tx.status === 'confirmed').length;
+      setSuccess(confirmedCount > 0
+        ? `✓ Mined for ${minedUsers} user(s) in ${confirmedCount}/${batches.length} batch(es).`
+        : '');
+      // Mined users drop off the list
+      if (confirmedCount > 0) scan();
+    } else {
+      setSuccess('');
+    }
+
+    setError([...failed, sendError].filter(Boolean).join(' '));
+    setIsLoading(false);
+  }, [dueUsers, autoMiner, txTracker, address, scan]);
+
+  const estimatedTip = estimateKeeperTip(dueUsers, tipBps);
+  const busy = isLoading || isScanning || autoMiner.isPending || autoMiner.isConfirming;
+  // Distinguish a failed log scan from "nothing earned yet"
+  const earnedFallback = earnedFailed ? 'unavailable' : '—';
+  const batchCount = Math.ceil(dueUsers.length / KEEPER_LIMITS.MAX_BATCH_USERS);
+
+  return (
+    <div className="automine-view">
+      <div className="claim-header">
+        <span className="claim-label">KEEPER</span>
+        <span className="claim-subtitle">Mine for scheduled users · earn {(tipBps / 100).toFixed(2)}% tips</span>
+      </div>
+
+      <div className="automine-card">
+        <div className="automine-grid">
+          <div className="automine-stat">
+            <span className="automine-stat-label">Epoch</span>
+            <span className="automine-stat-value">{currentEpoch ? `#${currentEpoch}` : '—'}</span>
+          </div>
+          <div className="automine-stat">
+            <span className="automine-stat-label">Registered</span>
+            <span className="automine-stat-value">
+              {registeredCount === null ? '—' : `${registeredCount}${isPartialScan ? '+' : ''}`}
+            </span>
+          </div>
+          <div className="automine-stat">
+            <span className="automine-stat-label">Due now</span>
+            <span className="automine-stat-value">{scannedEpoch ? dueUsers.length : '—'}</span>
+          </div>
+          <div className="automine-stat">
+            <span className="automine-stat-label">Est. tip</span>
+            <span className="automine-stat-value">{formatEthDisplay(ethers.formatEther(estimatedTip))} ETH</span>
+          </div>
+          <div className="automine-stat">
+            <span className="automine-stat-label">Tips earned</span>
+            <span className="automine-stat-value">
+              {earned ? `${earned.partial ? '≥ ' : ''}${formatEthDisplay(ethers.formatEther(earned.total))} ETH` : earnedFallback}
+            </span>
+          </div>
+          <div className="automine-stat">
+            <span className="automine-stat-label">Tip payouts</span>
+            <span className="automine-stat-value">{earned ? `${earned.count}${earned.partial ? '+' : ''}` : earnedFallback}</span>
+          </div>
+        </div>
+
+        {(isPartialScan || earned?.partial) && (
+          <p className="automine-note">
+            ⚠ Partial scan: no deploy block is configured, so only the last ~{LOG_LIMITS.DEFAULT_LOOKBACK_BLOCKS.toLocaleString()} blocks
+            are searched. Auto-miners who registered earlier are not listed and older tips are not counted.
+          </p>
+        )}
+
+        <button className="action-button finalize-btn" onClick={scan} disabled={busy || !currentEpoch}>
+          {isScanning ? 'SCANNING...' : 'SCAN DUE USERS'}
+        </button>
+
+        {dueUsers.length > 0 && (
+          <div className="history-list automine-user-list">
+            {dueUsers.map(({ user, totalCost }) => (
+              <div key={user} className="history-item">
+                <span className="history-epochs">{shortAddress(user)}</span>
+                <span className="history-date">{formatEthDisplay(ethers.formatEther(totalCost))} ETH</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          className="action-button"
+          onClick={handleMineBatch}
+          disabled={busy || dueUsers.length === 0}
+        >
+          {isLoading
+            ? 'MINING...'
+            : `MINE ${dueUsers.length} USER(S)${batchCount > 1 ? ` · ${batchCount} TXS` : ''}`}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      <HelpFinalize address={address} />
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+/**
+ * MineRequestInspector Component
+ *
+ * Lists each outstanding mine request with its deposit, who paid for it and
+ * how many blocks remain before MIN_FINALIZE_DELAY lets it be finalized.
+ * Requests finalize in order, so the first one gates the rest.
+ */
+import React, { useState, useEffect } from 'react';
+import { getPendingMineRequests } from '../services/mining';
+import { getProvider } from '../services/contracts';
+import './MineRequestInspector.css';
+
+// Block height refresh while requests are maturing
+const BLOCK_POLL_MS = 4000;
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+export default function MineRequestInspector({ address, pendingCount }) {
+  const [data, setData] = useState(null);
+  const [currentBlock, setCurrentBlock] = useState(null);
+
+  // Reload the request list whenever the on-chain pending count changes
+  useEffect(() => {
+    if (!address || !pendingCount) {
+      setData(null);
+      return;
+    }
+    let isValid = true;
+    getPendingMineRequests(address).then((result) => {
+      if (!isValid || !result) return;
+      setData(result);
+      setCurrentBlock(result.currentBlock);
+    });
+    return () => { isValid = false; };
+  }, [address, pendingCount]);
+
+  const isMaturing = data?.requests.some((r) => r.readyBlock > (currentBlock || 0));
+
+  useEffect(() => {
+    if (!isMaturing) return;
+    const interval = setInterval(() => {
+      getProvider().getBlockNumber().then(setCurrentBlock).catch(() => {});
+    }, BLOCK_POLL_MS);
+    return () => clearInterval(interval);
+  }, [isMaturing]);
+
+  if (!data?.requests.length) return null;
+
+  const readyCount = data.requests.filter((r) => r.readyBlock <= currentBlock).length;
+
+  return (
+    <div className="mine-requests">
+      <div className="mine-requests-summary">
+        {readyCount === data.requests.length
+          ? 'All requests ready to finalize'
+          : `${readyCount} ready · ${data.requests.length - readyCount} maturing (${data.minFinalizeDelay} block delay)`}
+      </div>
+      <div className="mine-requests-list">
+        {data.requests.map((req) => {
+          const blocksLeft = Math.max(0, req.readyBlock - currentBlock);
+          return (
+            <div key={req.index} className={`mine-request ${blocksLeft === 0 ? 'ready' : ''}`}>
+              <span className="mine-request-id">#{req.index}</span>
+              <span>{req.ticketCount} tix · {parseFloat(req.deposit).toFixed(5)} ETH</span>
+              <span title={req.payer}>{req.isSelfPaid ? 'you' : shortAddress(req.payer)}</span>
+              <span className="mine-request-status">
+                {blocksLeft === 0 ? 'READY' : `${blocksLeft} block${blocksLeft === 1 ? '' : 's'}`}
+              </span>
+            </div>
+          );
+        })}
+        {data.total > data.requests.length && (
+          <div className="mine-request more">+{data.total - data.requests.length} more</div>
+        )}
+      </div>
+    </div>
+  );
+}
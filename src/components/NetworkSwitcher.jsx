@@ -0,0 +1,51 @@
+/**
+ * NetworkSwitcher Component
+ *
+ * Header control for the active network profile (config/networks). Lists
+ * every known profile; ones without deployed contracts are shown but can't
+ * be picked. Switching reloads the app on the new chain, and the wallet is
+ * asked to follow on its next transaction.
+ */
+import React, { useState } from 'react';
+import { getNetworkProfiles, selectNetwork } from '../config/networks';
+import { CONFIG } from '../constants';
+import './NetworkSwitcher.css';
+
+const PROFILES = getNetworkProfiles();
+
+export default function NetworkSwitcher() {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="network-switcher">
+      <button
+        className={`network-switcher-toggle ${CONFIG.isTestnet ? 'testnet' : ''}`}
+        onClick={() => setIsOpen((open) => !open)}
+        title="Switch network"
+      >
+        {CONFIG.chainName} ▾
+      </button>
+
+      {isOpen && (
+        <div className="network-switcher-panel">
+          {PROFILES.map((profile) => {
+            const isActive = profile.chainId === CONFIG.chainId;
+            return (
+              <button
+                key={profile.chainId}
+                className={`network-switcher-option ${isActive ? 'active' : ''}`}
+                onClick={() => (isActive ? setIsOpen(false) : selectNetwork(profile.chainId))}
+                disabled={!profile.deployed}
+              >
+                <span>{profile.name}</span>
+                <span className="network-switcher-meta">
+                  {!profile.deployed ? 'not deployed' : profile.isTestnet ? 'testnet' : 'mainnet'}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * RewardPoolShortfall Component
+ *
+ * Claims are paid from min(rewardTokenPool, miner NARA balance). When that
+ * runs short, later epochs cannot be claimed yet even though they are owed.
+ * Explains the gap and shows recent topUpRewardPool activity.
+ */
+import React, { useState, useEffect } from 'react';
+import { getRecentPoolTopUps } from '../services/contracts';
+import { CONFIG } from '../constants';
+import './RewardPoolShortfall.css';
+
+// Re-check for top-ups while a shortfall is showing
+const TOP_UP_POLL_MS = 60000;
+
+export default function RewardPoolShortfall({ claimableData }) {
+  const [topUps, setTopUps] = useState(null);
+
+  const owed = parseFloat(claimableData?.totalDropped || 0);
+  const epochCount = claimableData?.droppedEpochs?.length || 0;
+  const hasShortfall = owed > 0 && epochCount > 0;
+
+  useEffect(() => {
+    if (!hasShortfall) return;
+    let isValid = true;
+    const load = () => getRecentPoolTopUps().then((result) => {
+      if (isValid) setTopUps(result);
+    });
+    load();
+    const interval = setInterval(load, TOP_UP_POLL_MS);
+    return () => {
+      isValid = false;
+      clearInterval(interval);
+    };
+  }, [hasShortfall]);
+
+  if (!hasShortfall) return null;
+
+  const lastTopUp = topUps?.[0];
+
+  return (
+    <div className="pool-shortfall">
+      <div className="alert-title">Reward pool running low</div>
+      <p className="pool-shortfall-text">
+        <strong>{owed.toFixed(2)} NARA</strong> from {epochCount} epoch{epochCount === 1 ? '' : 's'} is
+        owed to you but can't be claimed yet. The reward pool only has{' '}
+        {parseFloat(claimableData.effectivePool || 0).toFixed(2)} NARA left for payouts.
+      </p>
+      <p className="pool-shortfall-text">
+        Your rewards are not lost. They become claimable as soon as the pool is topped up. Claim
+        before each epoch's claim window closes.
+      </p>
+      <div className="pool-shortfall-activity">
+        {topUps === null && 'Checking recent top-ups...'}
+        {topUps && !lastTopUp && 'No recent pool top-ups. Watching for new ones...'}
+        {lastTopUp && (
+          <>
+            Last top-up: +{parseFloat(lastTopUp.amount).toFixed(2)} NARA{' '}
+            <a
+              href={`${CONFIG.explorerUrl}/tx/${lastTopUp.txHash}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              (block {lastTopUp.blockNumber}) ↗
+            </a>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+/**
+ * RpcStatus Component
+ *
+ * Small header indicator for the shared RPC pool: a dot for the active
+ * endpoint's health and its host; tap to see every endpoint's latency,
+ * head block and state.
+ */
+import React, { useState, useSyncExternalStore } from 'react';
+import { subscribeRpcPool, getRpcPoolState, describeEndpoint } from '../services/rpcPool';
+import './RpcStatus.css';
+
+const STATUS_LABELS = {
+  unknown: 'checking',
+  healthy: 'healthy',
+  stale: 'behind',
+  down: 'down',
+  'wrong-chain': 'wrong chain',
+};
+
+export default function RpcStatus() {
+  const { activeUrl, endpoints } = useSyncExternalStore(subscribeRpcPool, getRpcPoolState);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const active = endpoints.find((ep) => ep.url === activeUrl);
+
+  return (
+    <div className="rpc-status">
+      <button
+        className="rpc-status-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        title="RPC endpoint"
+      >
+        <span className={`rpc-dot ${active?.status || 'unknown'}`} />
+        {activeUrl ? describeEndpoint(activeUrl) : 'no RPC configured'}
+        {active?.latencyMs != null && <em>{active.latencyMs}ms</em>}
+      </button>
+
+      {isOpen && (
+        <div className="rpc-status-panel">
+          {endpoints.map((ep) => (
+            <div key={ep.url} className={`rpc-status-row ${ep.url === activeUrl ? 'active' : ''}`}>
+              <span className={`rpc-dot ${ep.status}`} />
+              <span className="rpc-status-host">{describeEndpoint(ep.url)}</span>
+              <span className="rpc-status-meta">
+                {STATUS_LABELS[ep.status]}
+                {ep.latencyMs != null && ` · ${ep.latencyMs}ms`}
+                {ep.blockNumber != null && ` · #${ep.blockNumber}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
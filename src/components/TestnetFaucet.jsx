@@ -1,7 +1,7 @@
 /**
  * Testnet Faucet Component
  * Allows users to claim 0.11 NARA for testing
- * TEMPORARY - Remove before mainnet
+ * Only rendered on network profiles with a NARA faucet (testnets)
  * 
  * ANTI-ABUSE MEASURES:
  * 1. Only claim if balance < 0.11 NARA (must spend before claiming again)
@@ -12,7 +12,9 @@
 import React, { useState, useEffect } from 'react';
 import { useAccount, useBalance, useSignMessage } from 'wagmi';
 import { ethers } from 'ethers';
-import { CONFIG, TOKEN_ABI } from '../constants';
+import { CONFIG } from '../constants';
+import { getProvider } from '../services/contracts';
+import { getContractClient, waitForTransaction } from '../services/contractClient';
 
 // Faucet configuration
 const FAUCET_AMOUNT = '0.11'; // NARA amount to claim
@@ -103,14 +105,13 @@ export default function TestnetFaucet() {
         return;
       }
 
-      // Step 3: Create provider and check balances
+      // Step 3: Check balances
       setClaimStep('Checking eligibility...');
-      const provider = new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-      const faucetWallet = new ethers.Wallet(FAUCET_PRIVATE_KEY, provider);
-      const token = new ethers.Contract(CONFIG.tokenAddress, TOKEN_ABI, faucetWallet);
+      const faucetWallet = new ethers.Wallet(FAUCET_PRIVATE_KEY, getProvider());
+      const token = getContractClient('token');
       
       // Double-check user balance on-chain (prevent localStorage bypass)
-      const userBalance = await token.balanceOf(address);
+      const userBalance = await token.read('balanceOf', [address]);
       if (userBalance >= MAX_BALANCE_TO_CLAIM) {
         setMessage('You already have enough NARA');
         setIsClaiming(false);
@@ -119,7 +120,7 @@ export default function TestnetFaucet() {
       }
 
       // Check faucet balance
-      const faucetBalance = await token.balanceOf(faucetWallet.address);
+      const faucetBalance = await token.read('balanceOf', [faucetWallet.address]);
       if (faucetBalance < FAUCET_AMOUNT_WEI) {
         setMessage('Faucet empty - try later');
         setIsClaiming(false);
@@ -129,8 +130,9 @@ export default function TestnetFaucet() {
 
       // Step 4: Send tokens
       setClaimStep('Sending NARA...');
-      const tx = await token.transfer(address, FAUCET_AMOUNT_WEI);
-      await tx.wait();
+      const hash = await token.write('transfer', [address, FAUCET_AMOUNT_WEI], { signer: faucetWallet });
+      const receipt = await waitForTransaction(hash);
+      if (receipt?.status !== 1) throw new Error('Faucet transfer reverted');
 
       // Save claim timestamp (use lowercase address for consistency)
       localStorage.setItem(`nara_faucet_${address.toLowerCase()}`, Date.now().toString());
@@ -202,20 +204,24 @@ export default function TestnetFaucet() {
         }
       </button>
 
-      <a 
-        href="https://portal.cdp.coinbase.com/products/faucet?projectId=06975f08-52d0-4cbc-9dbe-84a2ab1b244c&token=ETH&network=base-sepolia"
-        target="_blank"
-        rel="noopener noreferrer"
-        className="faucet-btn eth-btn"
-        onClick={() => {
-          if (address) navigator.clipboard.writeText(address);
-        }}
-      >
-        GET TEST ETH ↗
-      </a>
-      <span className="faucet-message" style={{ marginTop: '4px', fontSize: '10px', opacity: 0.7 }}>
-        (Address copied on click)
-      </span>
+      {CONFIG.ethFaucetUrl && (
+        <>
+          <a 
+            href={CONFIG.ethFaucetUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="faucet-btn eth-btn"
+            onClick={() => {
+              if (address) navigator.clipboard.writeText(address);
+            }}
+          >
+            GET TEST ETH ↗
+          </a>
+          <span className="faucet-message" style={{ marginTop: '4px', fontSize: '10px', opacity: 0.7 }}>
+            (Address copied on click)
+          </span>
+        </>
+      )}
 
       {blockReason && <span className="faucet-message">{blockReason}</span>}
       {message && (
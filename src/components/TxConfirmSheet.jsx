@@ -0,0 +1,72 @@
+/**
+ * TxConfirmSheet Component
+ *
+ * Bottom sheet shown by useTxPreview before a write opens the wallet:
+ * ETH sent, maximum gas fee, expected outcome, or the reason the write
+ * cannot be sent - a decoded revert, or a gas limit over the block bound -
+ * in which case only cancelling is possible.
+ */
+import React from 'react';
+import { ethers } from 'ethers';
+import { formatEthDisplay } from '../utils/validation';
+import './TxConfirmSheet.css';
+
+export default function TxConfirmSheet({ preview, onConfirm, onCancel }) {
+  if (!preview) return null;
+
+  const { title, outcome, value, isSimulating, gasLimit, gasFeeWei, error } = preview;
+  const totalWei = (value || 0n) + (gasFeeWei || 0n);
+
+  return (
+    <div className="tx-sheet-overlay" onClick={onCancel}>
+      <div className="tx-sheet" onClick={(e) => e.stopPropagation()}>
+        <div className="tx-sheet-title">{title}</div>
+
+        {isSimulating && <div className="tx-sheet-status">Simulating transaction...</div>}
+
+        {!isSimulating && error && (
+          <div className="error-message">
+            <strong>This transaction would fail.</strong> {error}
+          </div>
+        )}
+
+        {!isSimulating && !error && (
+          <div className="tx-sheet-rows">
+            {outcome && (
+              <div className="tx-sheet-row">
+                <span>You get</span>
+                <span className="tx-sheet-value highlight">{outcome}</span>
+              </div>
+            )}
+            <div className="tx-sheet-row">
+              <span>ETH sent</span>
+              <span className="tx-sheet-value">{formatEthDisplay(ethers.formatEther(value || 0n))} ETH</span>
+            </div>
+            <div className="tx-sheet-row">
+              <span>Network fee (max)</span>
+              <span className="tx-sheet-value">
+                {formatEthDisplay(ethers.formatEther(gasFeeWei))} ETH
+                <em> · {gasLimit.toLocaleString()} gas limit</em>
+              </span>
+            </div>
+            <div className="tx-sheet-row total">
+              <span>Total (max)</span>
+              <span className="tx-sheet-value">{formatEthDisplay(ethers.formatEther(totalWei))} ETH</span>
+            </div>
+          </div>
+        )}
+
+        <div className="tx-sheet-actions">
+          <button className="action-button reset-btn" onClick={onCancel}>
+            {error ? 'CLOSE' : 'CANCEL'}
+          </button>
+          {!error && (
+            <button className="action-button finalize-btn" onClick={onConfirm} disabled={isSimulating}>
+              CONFIRM IN WALLET
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
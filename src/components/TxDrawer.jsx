@@ -0,0 +1,158 @@
+/**
+ * TxDrawer Component
+ *
+ * Header button plus side drawer listing recent transactions from the
+ * tracker (hooks/useTransactions): status, decoded miner events once the
+ * receipt is in, and an explorer link for each. Pending ones can be sped
+ * up or cancelled.
+ */
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { CONFIG } from '../constants';
+import { ERROR_MESSAGES } from '../constants/limits';
+import { sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+import './TxDrawer.css';
+
+const STATUS_LABELS = {
+  pending: 'PENDING',
+  stuck: 'STUCK',
+  confirmed: 'CONFIRMED',
+  failed: 'REVERTED',
+  dropped: 'NOT FOUND',
+  cancelled: 'CANCELLED',
+  replaced: 'REPLACED',
+};
+
+const fmt = (wei, digits) => Number(ethers.formatEther(wei)).toFixed(digits);
+
+// One line per decoded event
+function describeEvent({ name, args }) {
+  switch (name) {
+    case 'MineRequested': return `Mine request #${args.requestId} (${args.ticketCount} tickets)`;
+    case 'Ticket': return `+${args.addedTickets} tickets in epoch #${args.epoch}`;
+    case 'MineFinalized': return `Request #${args.requestId} ${args.success === 'true' ? 'finalized' : 'not credited'}`;
+    case 'Claimed': return `Claimed ${fmt(args.amountToken, 2)} NARA from epoch #${args.epoch}`;
+    case 'BatchClaimed': return `Claimed ${fmt(args.totalPayout, 2)} NARA from ${args.epochs.length} epochs`;
+    case 'JackpotWon': return `🎰 Jackpot: ${fmt(args.amountEth, 4)} ETH + ${fmt(args.amountNara, 2)} NARA`;
+    case 'RefundCredited': return `Refund credited: ${fmt(args.amount, 6)} ETH`;
+    case 'RefundWithdrawn': return `Refund withdrawn: ${fmt(args.amount, 6)} ETH`;
+    default: return name;
+  }
+}
+
+export default function TxDrawer({ transactions, pendingCount, onClear, onSpeedUp, onCancel }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [busyHash, setBusyHash] = useState(null);
+  const [actionError, setActionError] = useState(null); // { hash, message }
+
+  const handleReplace = async (hash, action) => {
+    setBusyHash(hash);
+    setActionError(null);
+    try {
+      await action(hash);
+    } catch (err) {
+      logger.error('Replacement failed', err);
+      const msg = sanitizeError(err);
+      if (msg !== ERROR_MESSAGES.TRANSACTION_REJECTED) {
+        setActionError({ hash, message: msg });
+      }
+    } finally {
+      setBusyHash(null);
+    }
+  };
+
+  return (
+    <>
+      <button
+        className={`add-token-btn tx-drawer-toggle ${pendingCount > 0 ? 'busy' : ''}`}
+        onClick={() => setIsOpen(true)}
+        title="Recent transactions"
+      >
+        TXS{pendingCount > 0 && <span className="tx-drawer-badge">{pendingCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="tx-drawer-overlay" onClick={() => setIsOpen(false)}>
+          <aside className="tx-drawer" onClick={(e) => e.stopPropagation()}>
+            <div className="tx-drawer-header">
+              <span className="tx-drawer-title">RECENT TRANSACTIONS</span>
+              <button className="tx-drawer-close" onClick={() => setIsOpen(false)} aria-label="Close">✕</button>
+            </div>
+
+            {transactions.length === 0 && (
+              <div className="tx-drawer-empty">No transactions yet.</div>
+            )}
+
+            <div className="tx-drawer-list">
+              {transactions.map((tx) => (
+                <div key={tx.hash} className="tx-drawer-item">
+                  <div className="tx-drawer-row">
+                    <span className="tx-drawer-label">{tx.label}</span>
+                    <span className={`tx-drawer-status ${tx.status}`}>
+                      {STATUS_LABELS[tx.status === 'pending' && tx.stuck ? 'stuck' : tx.status]}
+                    </span>
+                  </div>
+                  <div className="tx-drawer-meta">
+                    {new Date(tx.submittedAt).toLocaleString()} ·{' '}
+                    <a href={`${CONFIG.explorerUrl}/tx/${tx.replacedBy || tx.hash}`} target="_blank" rel="noopener noreferrer">
+                      {(tx.replacedBy || tx.hash).slice(0, 10)}... ↗
+                    </a>
+                    {tx.blockNumber && ` · block ${tx.blockNumber}`}
+                  </div>
+                  {tx.replacedBy && (
+                    <div className="tx-drawer-meta">
+                      {tx.status === 'confirmed' || tx.status === 'failed' ? 'Sped up' : 'Replaced'} (original {tx.hash.slice(0, 10)}...)
+                    </div>
+                  )}
+                  {tx.status === 'pending' && tx.stuck && (
+                    <div className="tx-drawer-meta">
+                      Not mined yet. Speed it up with a higher fee, or cancel it.
+                    </div>
+                  )}
+                  {tx.status === 'pending' && !tx.stuck && tx.replacements?.length > 0 && (
+                    <div className="tx-drawer-meta">
+                      {tx.replacements.at(-1).kind === 'cancel' ? 'Cancel' : 'Speed-up'} sent, waiting for it to be mined...
+                    </div>
+                  )}
+                  {tx.events?.length > 0 && (
+                    <ul className="tx-drawer-events">
+                      {tx.events.map((event, i) => <li key={i}>{describeEvent(event)}</li>)}
+                    </ul>
+                  )}
+                  {tx.status === 'pending' && tx.tx && (
+                    <div className="tx-drawer-actions">
+                      <button
+                        className="tx-drawer-action"
+                        onClick={() => handleReplace(tx.hash, onSpeedUp)}
+                        disabled={busyHash === tx.hash}
+                      >
+                        SPEED UP
+                      </button>
+                      <button
+                        className="tx-drawer-action cancel"
+                        onClick={() => handleReplace(tx.hash, onCancel)}
+                        disabled={busyHash === tx.hash}
+                      >
+                        CANCEL
+                      </button>
+                    </div>
+                  )}
+                  {actionError?.hash === tx.hash && (
+                    <div className="tx-drawer-error">{actionError.message}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {transactions.some((tx) => tx.status !== 'pending') && (
+              <button className="action-button reset-btn" onClick={onClear}>
+                CLEAR FINISHED
+              </button>
+            )}
+          </aside>
+        </div>
+      )}
+    </>
+  );
+}
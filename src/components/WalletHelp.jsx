@@ -5,6 +5,7 @@
  * wallet connection issues with certain wallets on testnets.
  */
 import React, { useState } from 'react';
+import { CONFIG } from '../constants';
 
 export default function WalletHelp() {
   const [isOpen, setIsOpen] = useState(false);
@@ -20,7 +21,7 @@ export default function WalletHelp() {
       
       {isOpen && (
         <div className="wallet-help-content">
-          <h4>Best Wallets for Base Sepolia Testnet</h4>
+          <h4>Best Wallets for {CONFIG.chainName}</h4>
           
           <div className="wallet-recommendation">
             <div className="wallet-item recommended">
@@ -48,7 +49,7 @@ export default function WalletHelp() {
               <span className="wallet-status">⚠ May have issues</span>
             </div>
             <p className="wallet-note">
-              Some wallets don't fully support Base Sepolia testnet yet.
+              Some wallets don't fully support {CONFIG.chainName} yet.
               If connection fails, try Coinbase Wallet or MetaMask instead.
             </p>
           </div>
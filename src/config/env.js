@@ -1,15 +1,15 @@
 /**
  * Environment Configuration
- * Validates and exports network/contract settings.
+ * Validates and exports network/contract settings for the active
+ * network profile (see config/networks).
  */
+import { getActiveNetwork } from './networks';
 
 const isDev = import.meta.env.DEV;
 
+// Contract addresses come from deployments/<chainId>.json, RPCs from the network profile
 const REQUIRED_ENV_VARS = [
-  'VITE_TOKEN_ADDRESS',
-  'VITE_MINER_ADDRESS',
   'VITE_CHAIN_ID',
-  'VITE_RPC_URL',
   'VITE_RAINBOW_PROJECT_ID',
 ];
 
@@ -29,14 +29,35 @@ function validateEnvironment() {
 
 validateEnvironment();
 
+const NETWORK = getActiveNetwork();
+
 export const CONFIG = {
-  tokenAddress: import.meta.env.VITE_TOKEN_ADDRESS || '0x4b83Cdc512B1c8A0bc57e55Ec9b718498AfA8050',
-  minerAddress: import.meta.env.VITE_MINER_ADDRESS || '0x314357f3c15522A4A3C5248D8D68FfA210246659',
-  registryAddress: import.meta.env.VITE_REGISTRY_ADDRESS || '0xf54397D79028c4Bb617C0D688AE81b0d19119041',
-  lensAddress: import.meta.env.VITE_LENS_ADDRESS || '0x689e0747B5C51c00A96feaaFA2B44B0e75e2AD90',
-  chainId: Number(import.meta.env.VITE_CHAIN_ID) || 84532,
-  rpcUrl: import.meta.env.VITE_RPC_URL || 'https://sepolia.base.org',
-  explorerUrl: import.meta.env.VITE_EXPLORER_URL || 'https://sepolia-explorer.base.org',
+  tokenAddress: NETWORK.contracts.token,
+  minerAddress: NETWORK.contracts.miner,
+  registryAddress: NETWORK.contracts.registry,
+  lensAddress: NETWORK.contracts.lens,
+  multicallAddress: NETWORK.contracts.multicall,
+  // Manifest problems (missing/invalid addresses); non-empty blocks the app
+  deploymentErrors: NETWORK.manifestErrors,
+  manifestVersion: NETWORK.manifestVersion,
+  chainId: NETWORK.chainId,
+  chainName: NETWORK.name,
+  isTestnet: NETWORK.isTestnet,
+  nativeCurrency: NETWORK.nativeCurrency,
+  // Primary RPC first; the rest are failover candidates for services/rpcPool
+  rpcUrl: NETWORK.rpcUrls[0],
+  rpcUrls: NETWORK.rpcUrls,
+  // First block to scan for contract events (0 = use the default lookback window)
+  deployBlock: NETWORK.deployBlock,
+  // Safety margin on estimated gas, in basis points (12000 = +20%)
+  gasMultiplierBps: Number(import.meta.env.VITE_GAS_MULTIPLIER_BPS) || 12000,
+  explorerUrl: NETWORK.explorer.url,
+  explorerName: NETWORK.explorer.name,
+  // Where to buy NARA (null when there is no market, e.g. testnets)
+  dexUrl: NETWORK.dexUrl ? NETWORK.dexUrl(NETWORK.contracts.token) : null,
+  // NARA faucet (testnet only) and where to get gas ETH
+  naraFaucet: NETWORK.faucet.nara,
+  ethFaucetUrl: NETWORK.faucet.ethUrl,
   // Fallback to avoid crash if missing, but wallet connect features might be limited
   rainbowProjectId: import.meta.env.VITE_RAINBOW_PROJECT_ID || '1234567890abcdef1234567890abcdef',
 };
@@ -45,7 +66,7 @@ export const EPOCH_SECONDS = 180;
 
 if (isDev && typeof window !== 'undefined') {
   console.log('⚙️ Configuration Loaded:', {
-    network: CONFIG.chainId,
+    network: `${CONFIG.chainName} (${CONFIG.chainId})`,
     contracts: {
         token: CONFIG.tokenAddress,
         miner: CONFIG.minerAddress
@@ -0,0 +1,196 @@
+/**
+ * Network Profiles
+ * Everything that differs between chains, keyed by chain id: RPC
+ * endpoints, explorer, DEX link and faucet availability. Contract addresses
+ * come from the chain's deployment manifest, deployments/<chainId>.json:
+ *
+ *   { "version": 1, "chainId": 84532, "network": "base-sepolia",
+ *     "deployBlock": 123 (optional),
+ *     "contracts": { "token", "miner", "registry", "lens", "multicall" (optional) } }
+ *
+ * A chain without a valid manifest is not deployed; there is no address
+ * fallback. The manifest's on-chain wiring is checked at boot
+ * (services/deploymentCheck).
+ *
+ * RPC, explorer and deploy block can be overridden per chain with
+ * VITE_<NAME>_<CHAINID> (e.g. VITE_RPC_URL_8453). The unsuffixed VITE_<NAME>
+ * variables apply to the default chain (VITE_CHAIN_ID) only.
+ *
+ * The selected profile is remembered per browser. Services hold module-level
+ * state for one chain (RPC pool, provider, caches), so switching reloads the app.
+ */
+import { ethers } from 'ethers';
+
+const STORAGE_KEY = 'nara_network';
+
+/** Manifest schema version this build understands */
+export const MANIFEST_VERSION = 1;
+
+const REQUIRED_CONTRACTS = ['token', 'miner', 'registry', 'lens'];
+
+// deployments/<chainId>.json, bundled at build time
+const MANIFESTS = Object.fromEntries(
+  Object.entries(import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' }))
+    .map(([path, manifest]) => [Number(path.match(/(\d+)\.json$/)?.[1]), manifest])
+);
+
+const DEFAULT_CHAIN_ID = Number(import.meta.env.VITE_CHAIN_ID) || 84532;
+
+// Multicall3 is deployed at the same address on every major chain
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Read a per-chain env override, falling back to the unsuffixed variable
+ * on the default chain
+ */
+function envFor(chainId, key) {
+  const scoped = import.meta.env[`VITE_${key}_${chainId}`];
+  if (scoped) return scoped;
+  return chainId === DEFAULT_CHAIN_ID ? import.meta.env[`VITE_${key}`] : undefined;
+}
+
+const PROFILES = {
+  8453: {
+    chainId: 8453,
+    name: 'Base',
+    isTestnet: false,
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+    explorer: { name: 'BaseScan', url: 'https://basescan.org' },
+    dexUrl: (token) => `https://app.uniswap.org/explore/tokens/base/${token}`,
+    faucet: { nara: false, ethUrl: null },
+  },
+  84532: {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    isTestnet: true,
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    // NOTE: sepolia.base.org returns 403 Forbidden from some regions - it stays
+    // in the list, but RPC pool probing keeps it out of rotation
+    rpcUrls: [
+      'https://sepolia.base.org',
+      'https://base-sepolia.g.alchemy.com/v2/obPLENfqSksoovd3JTUbM',
+      'https://base-sepolia-rpc.publicnode.com',
+    ],
+    explorer: { name: 'Explorer', url: 'https://sepolia-explorer.base.org' },
+    // No DEX liquidity on testnet - NARA comes from the faucet
+    dexUrl: null,
+    faucet: {
+      nara: true,
+      ethUrl: 'https://portal.cdp.coinbase.com/products/faucet?projectId=06975f08-52d0-4cbc-9dbe-84a2ab1b244c&token=ETH&network=base-sepolia',
+    },
+  },
+};
+
+// Chains without a built-in profile (e.g. local forks) take name and RPC from
+// env; with no VITE_RPC_URL they have no endpoint until one is pinned
+function baseProfile(chainId) {
+  return PROFILES[chainId] || {
+    chainId,
+    name: import.meta.env.VITE_CHAIN_NAME || `Chain ${chainId}`,
+    isTestnet: true,
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [],
+    explorer: { name: 'Explorer', url: '' },
+    dexUrl: null,
+    faucet: { nara: false, ethUrl: null },
+  };
+}
+
+/**
+ * Read and validate a chain's deployment manifest
+ * Invalid addresses are dropped rather than used
+ * @param {number} chainId
+ * @returns {{contracts: Object, deployBlock: number, version: number|null, errors: string[]}}
+ */
+function readManifest(chainId) {
+  const manifest = MANIFESTS[chainId];
+  const empty = { token: null, miner: null, registry: null, lens: null, multicall: MULTICALL3 };
+  if (!manifest) {
+    return { contracts: empty, deployBlock: 0, version: null, errors: [`No deployment manifest (deployments/${chainId}.json)`] };
+  }
+
+  const errors = [];
+  if (manifest.version !== MANIFEST_VERSION) {
+    errors.push(`Manifest version ${manifest.version} is not supported (expected ${MANIFEST_VERSION})`);
+  }
+  if (Number(manifest.chainId) !== chainId) {
+    errors.push(`Manifest is for chain ${manifest.chainId}, not ${chainId}`);
+  }
+
+  const isUsable = (address) => ethers.isAddress(address) && address !== ethers.ZeroAddress;
+  const contracts = { ...empty };
+  for (const name of REQUIRED_CONTRACTS) {
+    const address = manifest.contracts?.[name];
+    if (isUsable(address)) {
+      contracts[name] = address;
+    } else {
+      errors.push(address ? `Invalid ${name} address: ${address}` : `Missing ${name} address`);
+    }
+  }
+  if (manifest.contracts?.multicall) {
+    if (isUsable(manifest.contracts.multicall)) contracts.multicall = manifest.contracts.multicall;
+    else errors.push(`Invalid multicall address: ${manifest.contracts.multicall}`);
+  }
+
+  return { contracts, deployBlock: Number(manifest.deployBlock) || 0, version: manifest.version ?? null, errors };
+}
+
+/**
+ * Resolve a profile with its manifest and env overrides applied
+ * @param {number} chainId
+ * @returns {Object} Profile plus `contracts`, `manifestErrors` and `deployed` (valid manifest)
+ */
+function resolveProfile(chainId) {
+  const profile = baseProfile(chainId);
+  const { contracts, deployBlock, version, errors } = readManifest(chainId);
+  const rpcUrl = envFor(chainId, 'RPC_URL');
+  const explorerUrl = envFor(chainId, 'EXPLORER_URL');
+
+  return {
+    ...profile,
+    contracts,
+    // A configured RPC goes first; the profile's public ones stay as fallbacks
+    rpcUrls: [...new Set([rpcUrl, ...profile.rpcUrls].filter(Boolean))],
+    explorer: explorerUrl ? { ...profile.explorer, url: explorerUrl } : profile.explorer,
+    deployBlock: Number(envFor(chainId, 'DEPLOY_BLOCK')) || deployBlock,
+    manifestVersion: version,
+    manifestErrors: errors,
+    deployed: errors.length === 0,
+  };
+}
+
+/**
+ * Every known profile (built-in, manifest-only and the env default chain), resolved
+ * @returns {Array<Object>}
+ */
+export function getNetworkProfiles() {
+  const ids = [...Object.keys(PROFILES), ...Object.keys(MANIFESTS), DEFAULT_CHAIN_ID].map(Number);
+  return [...new Set(ids)].map(resolveProfile);
+}
+
+const loadSelection = () => {
+  try {
+    return Number(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch { return null; }
+};
+
+/**
+ * The profile the app runs against: the stored selection when it is
+ * deployed, otherwise the env default chain
+ * @returns {Object}
+ */
+export function getActiveNetwork() {
+  const selected = loadSelection();
+  const profile = selected ? resolveProfile(selected) : null;
+  return profile?.deployed ? profile : resolveProfile(DEFAULT_CHAIN_ID);
+}
+
+/**
+ * Switch profiles (persists the choice and reloads)
+ * @param {number} chainId
+ */
+export function selectNetwork(chainId) {
+  try { localStorage.setItem(STORAGE_KEY, String(chainId)); } catch { /* storage unavailable */ }
+  window.location.reload();
+}
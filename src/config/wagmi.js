@@ -1,8 +1,9 @@
 /**
  * Wagmi configuration for the NARA mining UI.
  *
- * Keep Base Sepolia as the only target chain, use reliable RPC fallback,
- * and prioritize the wallets that behave best for Base users on mobile.
+ * Target only the active network profile's chain (config/networks), read
+ * through the shared RPC pool, and prioritize the wallets that behave best
+ * for Base users on mobile.
  */
 import { getDefaultConfig } from '@rainbow-me/rainbowkit';
 import {
@@ -16,23 +17,34 @@ import {
   safeWallet,
   baseAccount,
 } from '@rainbow-me/rainbowkit/wallets';
-import { baseSepolia } from 'wagmi/chains';
-import { http, fallback } from 'wagmi';
+import { base, baseSepolia } from 'wagmi/chains';
+import { custom } from 'wagmi';
+import { defineChain } from 'viem';
 import { CONFIG } from './env';
+import { rpcRequest } from '../services/rpcPool';
 
-const rpcEndpoints = [
-  http(CONFIG.rpcUrl || 'https://base-sepolia.g.alchemy.com/v2/obPLENfqSksoovd3JTUbM'),
-  http('https://base-sepolia-rpc.publicnode.com'),
-];
+const KNOWN_CHAINS = { [base.id]: base, [baseSepolia.id]: baseSepolia };
+
+// Known chains keep viem's metadata; custom ones (local forks) come from the profile
+export const activeChain = KNOWN_CHAINS[CONFIG.chainId] || defineChain({
+  id: CONFIG.chainId,
+  name: CONFIG.chainName,
+  nativeCurrency: CONFIG.nativeCurrency,
+  rpcUrls: { default: { http: CONFIG.rpcUrls } },
+  blockExplorers: CONFIG.explorerUrl
+    ? { default: { name: CONFIG.explorerName, url: CONFIG.explorerUrl } }
+    : undefined,
+  testnet: CONFIG.isTestnet,
+});
 
 export const config = getDefaultConfig({
   appName: 'NARA Mining',
   projectId: CONFIG.rainbowProjectId,
-  chains: [baseSepolia],
+  chains: [activeChain],
   transports: {
-    [baseSepolia.id]: fallback(rpcEndpoints, {
-      rank: false,
-      retryCount: 2,
+    // Same health-checked endpoint pool as the ethers provider (services/rpcPool)
+    [activeChain.id]: custom({
+      request: ({ method, params }) => rpcRequest(method, params),
     }),
   },
   wallets: [
@@ -47,5 +59,3 @@ export const config = getDefaultConfig({
   ],
   ssr: false,
 });
-
-export { baseSepolia };
@@ -2,6 +2,7 @@ import NARATokenABI from './abis/NARAToken.json';
 import NARAMinerABI from './abis/NARAMiner.json';
 import AutoMinerRegistryABI from './abis/AutoMinerRegistry.json';
 import NaraLensABI from './abis/NaraLens.json';
+import Multicall3ABI from './abis/Multicall3.json';
 
 // Extract ABI array from artifact (handles both formats)
 const getABI = (artifact) => {
@@ -12,5 +13,6 @@ export const TOKEN_ABI = getABI(NARATokenABI);
 export const MINER_ABI = getABI(NARAMinerABI);
 export const REGISTRY_ABI = getABI(AutoMinerRegistryABI);
 export const LENS_ABI = getABI(NaraLensABI);
+export const MULTICALL_ABI = getABI(Multicall3ABI);
 
 export { CONFIG, EPOCH_SECONDS } from './config/env';
@@ -0,0 +1,173 @@
+/**
+ * Contract Error Catalog
+ * User-facing text for custom errors from NARAMiner, NARAToken and
+ * AutoMinerRegistry, keyed by error name (see utils/contractErrors.js).
+ * `action` tells the user what to do next.
+ */
+import { ERROR_MESSAGES } from './limits';
+
+export const CONTRACT_ERRORS = {
+  // NARAMiner - mining
+  HardCapReached: {
+    message: 'Epoch cap reached.',
+    action: 'Wait for the next epoch to mine or finalize.',
+  },
+  EpochLimitReached: {
+    message: 'This epoch has no ticket room left.',
+    action: 'Try again next epoch.',
+  },
+  NotEligible: {
+    message: ERROR_MESSAGES.NOT_ELIGIBLE,
+    action: 'Buy or keep holding NARA, then try again.',
+  },
+  InsufficientETH: {
+    message: 'Not enough ETH sent for these tickets.',
+    action: 'Refresh the ticket price and try again.',
+  },
+  ZeroTickets: {
+    message: 'Ticket count must be at least 1.',
+    action: 'Enter a ticket amount.',
+  },
+  NoTickets: {
+    message: 'No pending mines to finalize.',
+    action: 'Mine first, then finalize.',
+  },
+  TicketMismatch: {
+    message: 'Ticket count does not match the payment.',
+    action: 'Refresh the page and try again.',
+  },
+  NotSeeded: {
+    message: ERROR_MESSAGES.CONTRACT_NOT_READY,
+    action: 'Mining opens once the reward pool is seeded.',
+  },
+  InvalidAddress: {
+    message: ERROR_MESSAGES.INVALID_ADDRESS,
+    action: 'Check the recipient address.',
+  },
+
+  // NARAMiner - claiming
+  EpochNotOver: {
+    message: 'This epoch has not ended yet.',
+    action: 'Claim after the epoch timer reaches zero.',
+  },
+  AlreadyClaimed: {
+    message: 'Rewards for this epoch were already claimed.',
+    action: 'Refresh to update your claimable epochs.',
+  },
+  ClaimExpired: {
+    message: 'The claim window for this epoch has closed.',
+    action: 'Claim newer epochs before they expire.',
+  },
+  NoEmission: {
+    message: 'This epoch has no rewards to claim.',
+    action: 'Refresh to update your claimable epochs.',
+  },
+  RewardPoolUnderflow: {
+    message: 'The reward pool cannot cover this claim right now.',
+    action: 'Claim fewer epochs, or wait for the pool to be topped up.',
+  },
+  ContractEmpty: {
+    message: 'The miner has no NARA left to pay out.',
+    action: 'Wait for the reward pool to be topped up.',
+  },
+  LengthMismatch: {
+    message: 'Claim request was malformed.',
+    action: 'Refresh the page and try again.',
+  },
+  InvalidOrder: {
+    message: 'Epochs must be claimed in ascending order.',
+    action: 'Refresh the page and try again.',
+  },
+
+  // NARAMiner - refunds and transfers
+  NoRefund: {
+    message: 'No refund to withdraw.',
+    action: 'Refunds appear here after overpayments or failed finalizations.',
+  },
+  RefundDisallowed: {
+    message: 'Refunds cannot be withdrawn right now.',
+    action: 'Try again later.',
+  },
+  TransferFailed: {
+    message: 'Token transfer failed.',
+    action: 'Try again, or contact support if it keeps failing.',
+  },
+
+  // AutoMinerRegistry
+  NotRegistered: {
+    message: ERROR_MESSAGES.NOT_REGISTERED,
+    action: 'Open the AUTO tab to register.',
+  },
+  InvalidConfig: {
+    message: ERROR_MESSAGES.INVALID_SCHEDULE,
+    action: 'Check tickets per mine and the mining window.',
+  },
+  PendingMineExists: {
+    message: 'You have pending mines.',
+    action: 'Finalize them before changing auto-mining.',
+  },
+  AlreadyMinedThisEpoch: {
+    message: 'Already mined for this user this epoch.',
+    action: 'Try again next epoch.',
+  },
+  WindowQuotaExceeded: {
+    message: 'Auto-mining quota for this window is used up.',
+    action: 'Wait for the next window or raise mines per window.',
+  },
+  NotEnabled: {
+    message: 'Auto-mining is turned off.',
+    action: 'Enable auto-mining in the AUTO tab.',
+  },
+  UserIneligible: {
+    message: 'This user is not eligible to mine.',
+    action: 'They need to hold NARA long enough first.',
+  },
+  ZeroDeposit: {
+    message: ERROR_MESSAGES.ZERO_DEPOSIT,
+    action: 'Enter an amount.',
+  },
+  ZeroBalance: {
+    message: 'Your auto-mine deposit is empty.',
+    action: 'Deposit ETH to keep auto-mining.',
+  },
+  InsufficientBalance: {
+    message: ERROR_MESSAGES.DEPOSIT_TOO_LOW,
+    action: 'Deposit more ETH or lower the amount.',
+  },
+  WithdrawFailed: {
+    message: ERROR_MESSAGES.WITHDRAW_FAILED,
+    action: 'Use a wallet that can receive ETH.',
+  },
+  TimelockActive: {
+    message: 'This action is time-locked.',
+    action: 'Try again once the timelock ends.',
+  },
+  NoPendingFee: {
+    message: 'There is no committed service fee change to apply.',
+    action: 'Commit a new service fee first.',
+  },
+  NoFees: {
+    message: 'No auto-mine service fees have accrued to withdraw.',
+    action: 'Service fees accrue as auto-mines run.',
+  },
+
+  // NARAToken
+  ERC20InsufficientBalance: {
+    message: 'Not enough NARA for this transfer.',
+    action: 'Lower the amount.',
+  },
+  ERC20InsufficientAllowance: {
+    message: 'NARA allowance too low.',
+    action: 'Approve a higher amount first.',
+  },
+
+  // Shared
+  OwnableUnauthorizedAccount: {
+    message: 'Only the contract owner can do this.',
+    action: null,
+  },
+  ReentrancyGuardReentrantCall: {
+    message: 'Transaction was blocked by a safety check.',
+    action: 'Try again.',
+  },
+};
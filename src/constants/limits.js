@@ -16,6 +16,52 @@ export const MINING_LIMITS = {
   MAX_WEI: ethers.parseEther('1'),
   /** Maximum tickets per transaction */
   MAX_TICKETS: 50000n, // 1 ETH / 0.00002 ETH = 50,000 tickets
+  /** Outstanding mine requests listed by the request inspector */
+  MAX_INSPECTED_REQUESTS: 50,
+};
+
+// Auto-mining (AutoMinerRegistry) limits
+// The registry exposes no upper bounds for schedules or stop conditions;
+// useAutoMiner simulates those writes so the contract's own checks apply.
+export const AUTO_MINE_LIMITS = {
+  /** Minimum tickets bought per scheduled mine */
+  MIN_TICKETS_PER_MINE: 1,
+  /** Minimum mines per window */
+  MIN_MINES_PER_WINDOW: 1,
+  /** Minimum window length in epochs */
+  MIN_WINDOW_EPOCHS: 1,
+  /** Upcoming epochs shown in the schedule preview */
+  PREVIEW_EPOCHS: 12,
+};
+
+// Event log scanning
+export const LOG_LIMITS = {
+  /** Blocks per eth_getLogs request (public RPCs reject large ranges) */
+  CHUNK_BLOCKS: 10000,
+  /** Blocks scanned back from head when no deploy block is configured (~7 days on Base) */
+  DEFAULT_LOOKBACK_BLOCKS: 300000,
+};
+
+// RPC endpoint pool (services/rpcPool)
+export const RPC_POOL = {
+  /** Health probe interval (ms) */
+  PROBE_INTERVAL_MS: 30000,
+  /** Timeout for probes and requests (ms) */
+  REQUEST_TIMEOUT_MS: 15000,
+  /** Blocks behind the best known head before an endpoint counts as stale */
+  MAX_BLOCK_LAG: 5,
+  /** Consecutive failures that open an endpoint's circuit */
+  FAILURE_THRESHOLD: 3,
+  /** How long an open circuit keeps the endpoint out of rotation (ms) */
+  COOLDOWN_MS: 60000,
+  /** A healthy endpoint must be this much faster (ms) to take over from the active one */
+  SWITCH_LATENCY_MS: 150,
+};
+
+// Keeper limits
+export const KEEPER_LIMITS = {
+  /** Maximum users per mineBatch transaction */
+  MAX_BATCH_USERS: 20,
 };
 
 // Input validation rules
@@ -34,20 +80,22 @@ export const CLAIM_LIMITS = {
   MAX_EPOCHS: 100,
   /** Minimum epochs to claim */
   MIN_EPOCHS: 1,
+  /** Warn when an epoch's claim window closes within this many epochs */
+  EXPIRY_WARNING_EPOCHS: 5,
+  /** Claim history entries per page */
+  HISTORY_PAGE_SIZE: 10,
+  /** Pause between background claim history backfill windows (ms) */
+  HISTORY_BACKFILL_DELAY_MS: 1000,
 };
 
 // Transaction settings
 export const TX_SETTINGS = {
-  /** Base gas limit for claims */
-  CLAIM_BASE_GAS: 250000n,
-  /** Additional gas per epoch claimed */
-  CLAIM_GAS_PER_EPOCH: 80000n,
-  /** Single claim gas limit */
-  SINGLE_CLAIM_GAS: 500000n,
-  /** Base gas for finalize */
-  FINALIZE_BASE_GAS: 200000n,
-  /** Gas per mine finalized */
-  FINALIZE_GAS_PER_MINE: 150000n,
+  /** Largest share of the block gas limit one transaction may use (basis points) */
+  MAX_BLOCK_GAS_BPS: 5000,
+  /** How long a fetched block gas limit is reused before it is read again (ms) */
+  BLOCK_GAS_LIMIT_TTL_MS: 5 * 60 * 1000,
+  /** Fee multiplier for speed-up/cancel replacements (basis points; nodes require at least +10%) */
+  REPLACEMENT_FEE_BUMP_BPS: 12500,
 };
 
 // Error messages (sanitized for display)
@@ -58,8 +106,22 @@ export const ERROR_MESSAGES = {
   AMOUNT_TOO_HIGH: `Maximum amount is ${MINING_LIMITS.MAX_ETH} ETH`,
   INVALID_AMOUNT: 'Please enter a valid amount',
   TRANSACTION_REJECTED: 'Transaction was rejected',
+  WRONG_CHAIN: 'Please switch your wallet to the supported chain',
   NETWORK_ERROR: 'Network error. Please try again.',
   NOT_ELIGIBLE: 'Hold ≥ 0.1 NARA for 3 hours to mine',
   MINING_PAUSED: 'Mining is currently paused',
   CONTRACT_NOT_READY: 'Contract not initialized',
+  NOT_REGISTERED: 'Register for auto-mining first',
+  INVALID_SCHEDULE: 'Invalid auto-mining schedule',
+  ZERO_DEPOSIT: 'Deposit must be greater than 0',
+  DEPOSIT_TOO_LOW: 'Amount exceeds your auto-mine deposit',
+  WITHDRAW_FAILED: 'Withdrawal failed. Your wallet could not receive ETH.',
+  INVALID_ADDRESS: 'Please enter a valid address',
+  RECIPIENT_NOT_ELIGIBLE: 'Recipient must hold ≥ 0.1 NARA for 3 hours before they can receive tickets',
+  TX_REVERTED: 'Transaction reverted on-chain. See recent transactions for details.',
+  TX_NOT_CONFIRMED: 'Transaction not confirmed yet. Check recent transactions.',
+  TX_CANCELLED: 'Transaction was cancelled.',
+  TX_REPLACED: 'Transaction was replaced by another one from your wallet.',
+  TX_NOT_REPLACEABLE: 'This transaction can no longer be sped up or cancelled.',
+  TX_TOO_LARGE: 'This transaction needs more gas than one block allows. Try a smaller amount.',
 };
@@ -0,0 +1,68 @@
+/**
+ * useAutoFinalize Hook
+ *
+ * Watches new blocks while mines are pending and reports how many of them
+ * can be finalized now (matured past MIN_FINALIZE_DELAY and within the
+ * epoch's effective cap). The chosen mode is remembered per browser:
+ *   off    - no automatic action
+ *   prompt - surface a finalize prompt as soon as requests mature
+ *   submit - send finalizeMines automatically (for session-approved wallets)
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useBlockNumber } from 'wagmi';
+import { getPendingMineRequests, planFinalize } from '../services/mining';
+
+const STORAGE_KEY = 'nara_auto_finalize';
+export const AUTO_FINALIZE_MODES = ['off', 'prompt', 'submit'];
+
+const loadMode = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return AUTO_FINALIZE_MODES.includes(saved) ? saved : 'off';
+  } catch { return 'off'; }
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.address - User wallet address
+ * @param {number} params.pendingMines - On-chain pending mine count
+ * @param {number} params.availableTickets - Tickets left under this epoch's cap
+ */
+export function useAutoFinalize({ address, pendingMines, availableTickets }) {
+  const [mode, setModeState] = useState(loadMode);
+  const [requests, setRequests] = useState(null);
+
+  const isWatching = Boolean(address) && pendingMines > 0;
+  const { data: blockNumber } = useBlockNumber({ watch: isWatching, query: { enabled: isWatching } });
+
+  // Request details only change when the pending count does
+  useEffect(() => {
+    if (!isWatching) {
+      setRequests(null);
+      return;
+    }
+    let isValid = true;
+    getPendingMineRequests(address).then((result) => {
+      if (isValid && result) setRequests(result.requests);
+    });
+    return () => { isValid = false; };
+  }, [address, pendingMines, isWatching]);
+
+  const setMode = useCallback((next) => {
+    setModeState(next);
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* storage unavailable */ }
+  }, []);
+
+  const plan = requests && blockNumber !== undefined
+    ? planFinalize(requests, Number(blockNumber), availableTickets)
+    : null;
+
+  return {
+    mode,
+    setMode,
+    // null until request details and the block height are known
+    readyCount: plan ? plan.count : null,
+    nextReadyBlock: plan?.nextReadyBlock ?? null,
+    blocksUntilNext: plan?.nextReadyBlock ? plan.nextReadyBlock - Number(blockNumber) : null,
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * useAutoMiner Hook
+ *
+ * Write actions for the AutoMinerRegistry (scheduled mining).
+ * Mirrors useMining: writes go through the contract client, which
+ * translates revert reasons. Schedule and stop-condition writes are
+ * simulated first, since their bounds live only in the registry.
+ */
+import { useCallback } from 'react';
+import { useAccount } from 'wagmi';
+import { useContractWrite } from './useContract';
+import { getContractClient } from '../services/contractClient';
+import logger from '../utils/logger';
+
+/**
+ * Auto-mining registry hook
+ */
+export function useAutoMiner() {
+  const { address } = useAccount();
+  const {
+    write,
+    hash,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error,
+    reset,
+  } = useContractWrite('registry');
+
+  /**
+   * Send a registry write
+   * @param {boolean} [simulate] - Dry-run first; a rejected draft throws the decoded reason
+   */
+  const send = useCallback(async (functionName, args = [], value, simulate = false) => {
+    const overrides = value !== undefined ? { value } : {};
+    if (simulate) {
+      await getContractClient('registry').simulate(functionName, args, { from: address, ...overrides });
+    }
+    logger.debug(`[AUTOMINE] Sending ${functionName}`);
+    const txHash = await write(functionName, args, overrides);
+    logger.debug(`[AUTOMINE] ${functionName} TX sent:`, txHash);
+    return txHash;
+  }, [write, address]);
+
+  /**
+   * Register for auto-mining with an optional initial ETH deposit
+   * @param {Object} params
+   * @param {number} params.ticketsPerMine
+   * @param {number} params.minesPerWindow
+   * @param {number} params.windowEpochs
+   * @param {bigint} params.stopWinThreshold - 0 disables the threshold
+   * @param {boolean} params.stopOnAnyJackpot
+   * @param {bigint} [params.depositWei] - ETH sent with the registration
+   */
+  const register = useCallback(({
+    ticketsPerMine,
+    minesPerWindow,
+    windowEpochs,
+    stopWinThreshold,
+    stopOnAnyJackpot,
+    depositWei = 0n,
+  }) => send(
+    'register',
+    [BigInt(ticketsPerMine), BigInt(minesPerWindow), BigInt(windowEpochs), stopWinThreshold, stopOnAnyJackpot],
+    depositWei,
+    true,
+  ), [send]);
+
+  const enableAutoMining = useCallback(() => send('enableAutoMining'), [send]);
+
+  const disableAutoMining = useCallback(() => send('disableAutoMining'), [send]);
+
+  /**
+   * Change how often the registry mines, keeping tickets per mine
+   * @param {number} minesPerWindow
+   * @param {number} windowEpochs
+   */
+  const updateSchedule = useCallback((minesPerWindow, windowEpochs) => send(
+    'updateSchedule',
+    [BigInt(minesPerWindow), BigInt(windowEpochs)],
+    undefined,
+    true,
+  ), [send]);
+
+  /**
+   * Change when auto-mining halts itself
+   * @param {bigint} stopWinThreshold - 0 disables the threshold
+   * @param {boolean} stopOnAnyJackpot
+   */
+  const updateStopConditions = useCallback((stopWinThreshold, stopOnAnyJackpot) => send(
+    'updateStopConditions',
+    [stopWinThreshold, stopOnAnyJackpot],
+    undefined,
+    true,
+  ), [send]);
+
+  /**
+   * Top up the auto-mining balance
+   * @param {bigint} amountWei
+   */
+  const deposit = useCallback((amountWei) => send('deposit', [], amountWei), [send]);
+
+  /**
+   * Withdraw part of the auto-mining balance
+   * @param {bigint} amountWei
+   */
+  const withdraw = useCallback((amountWei) => send('withdraw', [amountWei]), [send]);
+
+  /**
+   * Withdraw the whole balance, bypassing the schedule
+   */
+  const emergencyWithdraw = useCallback(() => send('emergencyWithdraw'), [send]);
+
+  /**
+   * Keeper: mine for several due users in one transaction
+   * @param {string[]} users
+   */
+  const mineBatch = useCallback((users) => send('mineBatch', [users]), [send]);
+
+  /**
+   * Keeper: mine for a single due user
+   * @param {string} user
+   */
+  const mineForUser = useCallback((user) => send('mineForUser', [user]), [send]);
+
+  return {
+    // Actions
+    register,
+    enableAutoMining,
+    disableAutoMining,
+    updateSchedule,
+    updateStopConditions,
+    deposit,
+    withdraw,
+    emergencyWithdraw,
+    mineBatch,
+    mineForUser,
+    reset,
+
+    // Transaction state
+    hash,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error,
+  };
+}
+
+export default useAutoMiner;
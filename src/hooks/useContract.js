@@ -0,0 +1,118 @@
+/**
+ * useContract Hooks
+ *
+ * React wrappers around the contract client (services/contractClient):
+ *   useContractWrite - send writes and follow the latest one to its receipt
+ *   useContractRead  - poll a view function
+ * Errors are already translated by the client, so components show
+ * error messages as-is.
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getContractClient, waitForTransaction } from '../services/contractClient';
+import logger from '../utils/logger';
+
+/**
+ * Write hook for one contract
+ * @param {import('../services/contractClient').ContractName} name
+ */
+export function useContractWrite(name) {
+  const [hash, setHash] = useState(null);
+  const [isPending, setIsPending] = useState(false);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [isConfirmed, setIsConfirmed] = useState(false);
+  const [error, setError] = useState(null);
+  // Only the latest write updates confirmation state
+  const latestRef = useRef(null);
+
+  const write = useCallback(async (method, args = [], options = {}) => {
+    const id = Symbol(method);
+    latestRef.current = id;
+    setIsPending(true);
+    setIsConfirmed(false);
+    setError(null);
+
+    let txHash;
+    try {
+      txHash = await getContractClient(name).write(method, args, options);
+    } catch (err) {
+      if (latestRef.current === id) {
+        setIsPending(false);
+        setError(err.message);
+      }
+      throw err;
+    }
+
+    if (latestRef.current === id) {
+      setHash(txHash);
+      setIsPending(false);
+      setIsConfirming(true);
+    }
+
+    waitForTransaction(txHash)
+      .then((receipt) => {
+        if (latestRef.current !== id) return;
+        setIsConfirming(false);
+        setIsConfirmed(receipt?.status === 1);
+      })
+      .catch((err) => {
+        logger.debug(`[${name.toUpperCase()}] Receipt wait failed`, err?.message);
+        if (latestRef.current === id) setIsConfirming(false);
+      });
+
+    return txHash;
+  }, [name]);
+
+  const reset = useCallback(() => {
+    latestRef.current = null;
+    setHash(null);
+    setIsPending(false);
+    setIsConfirming(false);
+    setIsConfirmed(false);
+    setError(null);
+  }, []);
+
+  return { write, hash, isPending, isConfirming, isConfirmed, isError: Boolean(error), error, reset };
+}
+
+/**
+ * Read hook for one view function
+ * @param {import('../services/contractClient').ContractName} name
+ * @param {string} method
+ * @param {Array} args
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true]
+ * @param {number} [options.refetchInterval] - Poll interval in ms
+ * @returns {{data: *, refetch: Function}}
+ */
+export function useContractRead(name, method, args = [], { enabled = true, refetchInterval } = {}) {
+  const [data, setData] = useState(undefined);
+  // Args arrive as fresh arrays every render; key them by value
+  const argsKey = JSON.stringify(args, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  const argsRef = useRef(args);
+  argsRef.current = args;
+
+  const refetch = useCallback(async () => {
+    if (!enabled) return undefined;
+    try {
+      const result = await getContractClient(name).read(method, argsRef.current);
+      setData(result);
+      return result;
+    } catch (err) {
+      logger.debug(`[${name.toUpperCase()}] ${method} read failed`, err?.message);
+      return undefined;
+    }
+  }, [name, method, argsKey, enabled]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setData(undefined);
+      return undefined;
+    }
+    refetch();
+    if (!refetchInterval) return undefined;
+    const timer = setInterval(refetch, refetchInterval);
+    return () => clearInterval(timer);
+  }, [refetch, enabled, refetchInterval]);
+
+  return { data, refetch };
+}
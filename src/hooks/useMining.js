@@ -2,228 +2,147 @@
  * useMining Hook - Production Grade
  * 
  * CRITICAL CHANGES:
- * 1. Simulates transactions before sending (catches errors pre-wallet)
- * 2. Parses contract revert reasons into user-friendly messages
- * 3. Uses useReadContract for real-time pending mine count
+ * 1. Writes are simulated before sending via useTxPreview (catches errors pre-wallet)
+ * 2. Writes go through the contract client, which translates revert reasons
+ * 3. Pending mine count comes from the dashboard snapshot (services/snapshot)
  */
 import { useCallback } from 'react';
-import { 
-  useWriteContract, 
-  useWaitForTransactionReceipt,
-  useReadContract,
-  useAccount
-} from 'wagmi';
-import { CONFIG } from '../config/env';
-import MINER_ABI from '../abis/NARAMiner.json';
+import { useAccount } from 'wagmi';
+import { useContractWrite, useContractRead } from './useContract';
+import { MINING_LIMITS, ERROR_MESSAGES } from '../constants/limits';
 import logger from '../utils/logger';
 
-// Extract just the ABI array from the artifact
-const minerAbi = MINER_ABI.abi;
-
-/**
- * Parse contract errors into user-friendly messages
- * @param {Error} error - The error from simulation or transaction
- * @returns {string} User-friendly error message
- */
-function parseContractError(error) {
-  if (!error) return 'Transaction failed';
-  
-  const message = error.message || error.shortMessage || String(error);
-  
-  // User rejected - not an error, just cancelled
-  if (message.includes('rejected') || message.includes('denied') || message.includes('cancelled')) {
-    return null; // null = don't show error
-  }
-  
-  // Parse common contract reverts
-  if (message.includes('EpochCapExceeded') || message.includes('cap')) {
-    return 'Epoch cap reached. Wait for next epoch to finalize.';
-  }
-  
-  if (message.includes('NoPendingMines') || message.includes('no pending')) {
-    return 'No pending mines to finalize.';
-  }
-  
-  if (message.includes('BlockNotMature') || message.includes('block') || message.includes('too early')) {
-    return 'Wait a few more blocks before finalizing.';
-  }
-  
-  if (message.includes('insufficient funds') || message.includes('balance')) {
-    return 'Insufficient ETH balance for gas.';
-  }
-  
-  if (message.includes('NotEligible') || message.includes('eligible')) {
-    return 'You are not eligible to mine. Hold NARA tokens first.';
-  }
-  
-  // Generic fallback
-  logger.error('[MINING] Unhandled error:', message);
-  return 'Transaction would fail. Please try again later.';
-}
-
 /**
  * Production-ready mining hook with simulation
  */
 export function useMining() {
   const { address } = useAccount();
-  
-  const { 
-    writeContractAsync,
-    data: hash,
+
+  const {
+    write,
+    hash,
     isPending,
+    isConfirming,
+    isConfirmed,
     isError,
-    error: writeError,
-    reset 
-  } = useWriteContract();
-
-  const { 
-    isLoading: isConfirming, 
-    isSuccess: isConfirmed 
-  } = useWaitForTransactionReceipt({ hash });
-
-  // Real-time pending mine count from contract (source of truth)
-  // CRITICAL: retry:false and throwOnError:false prevent RPC errors from crashing the app
-  const { 
-    data: pendingMinesOnChain = 0n,
-    refetch: refetchPendingMines,
-    isError: isPendingError
-  } = useReadContract({
-    address: CONFIG.minerAddress,
-    abi: minerAbi,
-    functionName: 'getPendingMines',
-    args: address ? [address] : undefined,
-    query: {
-      enabled: !!address,
-      refetchInterval: 10000, // Refresh every 10s
-      retry: false, // Don't retry on RPC failure - prevents crash loops
-      throwOnError: false, // Never throw - return error state instead
-    }
+    error,
+    reset,
+  } = useContractWrite('miner');
+
+  // ETH credited back by the miner (overpayment or failed finalization)
+  const {
+    data: pendingRefundWei = 0n,
+    refetch: refetchPendingRefund,
+  } = useContractRead('miner', 'pendingRefunds', [address], {
+    enabled: !!address,
+    refetchInterval: 30000,
   });
 
   /**
-   * Request mining tickets with simulation
+   * Request mining tickets
+   * Pre-flight simulation is done by the caller (useTxPreview) before this
+   * runs; wallet-side estimation failures are translated by the client
+   * @param {bigint} ticketCount
+   * @param {bigint} costWei
+   * @param {bigint} [gasLimit] - Gas limit from useTxPreview (wallet estimates if omitted)
    */
-  const requestMine = useCallback(async (ticketCount, costWei) => {
-    const args = { 
-      address: CONFIG.minerAddress,
-      abi: minerAbi,
-      functionName: 'requestMine',
-      args: [ticketCount],
-      value: costWei,
-    };
-
-    // Simulation happens automatically in wagmi when using writeContractAsync
-    // If it fails, the error is caught here
-    try {
-      logger.debug('[MINING] Sending requestMine', { tickets: ticketCount.toString() });
-      const txHash = await writeContractAsync(args);
-      logger.debug('[MINING] TX sent:', txHash);
-      return txHash;
-    } catch (error) {
-      const msg = parseContractError(error);
-      if (msg) throw new Error(msg);
-      throw error; // Re-throw if user rejection (no message)
+  const requestMine = useCallback(async (ticketCount, costWei, gasLimit) => {
+    if (ticketCount <= 0n) throw new Error(ERROR_MESSAGES.INVALID_AMOUNT);
+    if (ticketCount > MINING_LIMITS.MAX_TICKETS || costWei > MINING_LIMITS.MAX_WEI) {
+      throw new Error(ERROR_MESSAGES.AMOUNT_TOO_HIGH);
     }
-  }, [writeContractAsync]);
+
+    logger.debug('[MINING] Sending requestMine', { tickets: ticketCount.toString() });
+    const txHash = await write('requestMine', [ticketCount], gasLimit ? { value: costWei, gasLimit } : { value: costWei });
+    logger.debug('[MINING] TX sent:', txHash);
+    return txHash;
+  }, [write]);
 
   /**
-   * Finalize pending mines with pre-validation
+   * Request mining for another address (sender pays, tickets go to user)
    */
-  const finalizeMines = useCallback(async (count) => {
-    // Pre-check: Do we actually have pending mines?
-    const pending = Number(pendingMinesOnChain);
-    if (pending === 0) {
-      throw new Error('No pending mines to finalize.');
-    }
-    
-    if (count > pending) {
-      throw new Error(`Only ${pending} pending mine(s) to finalize.`);
-    }
+  const requestMineFor = useCallback(async (user, ticketCount, costWei) => {
+    logger.debug('[MINING] Sending requestMineFor', { user, tickets: ticketCount.toString() });
+    const txHash = await write('requestMineFor', [user, ticketCount], { value: costWei });
+    logger.debug('[MINING] Gift TX sent:', txHash);
+    return txHash;
+  }, [write]);
 
-    const args = {
-      address: CONFIG.minerAddress,
-      abi: minerAbi,
-      functionName: 'finalizeMines',
-      args: [count],
-    };
+  /**
+   * Finalize pending mines
+   * The pending count is checked by the caller against the dashboard
+   * snapshot; simulation (useTxPreview) catches anything that changed since
+   * @param {number} count
+   * @param {bigint} [gasLimit] - Gas limit from useTxPreview (wallet estimates if omitted)
+   */
+  const finalizeMines = useCallback(async (count, gasLimit) => {
+    logger.debug('[MINING] Sending finalizeMines', { count });
+    const txHash = await write('finalizeMines', [count], gasLimit ? { gasLimit } : {});
+    logger.debug('[MINING] Finalize TX sent:', txHash);
+    return txHash;
+  }, [write]);
 
-    try {
-      logger.debug('[MINING] Sending finalizeMines', { count });
-      const txHash = await writeContractAsync(args);
-      logger.debug('[MINING] Finalize TX sent:', txHash);
-      
-      // Refresh pending count after successful send
-      setTimeout(() => refetchPendingMines(), 3000);
-      
-      return txHash;
-    } catch (error) {
-      const msg = parseContractError(error);
-      if (msg) throw new Error(msg);
-      throw error;
-    }
-  }, [writeContractAsync, pendingMinesOnChain, refetchPendingMines]);
+  /**
+   * Finalize another user's pending mines (earns KEEPER_FEE_BPS)
+   */
+  const finalizeMinesFor = useCallback(async (user, count) => {
+    logger.debug('[MINING] Sending finalizeMinesFor', { user, count });
+    const txHash = await write('finalizeMinesFor', [user, count]);
+    logger.debug('[MINING] FinalizeFor TX sent:', txHash);
+    return txHash;
+  }, [write]);
 
   /**
    * Claim single epoch
+   * @param {number} epoch
+   * @param {bigint} [gasLimit] - Gas limit from services/gas (wallet estimates if omitted)
    */
-  const claim = useCallback(async (epoch) => {
-    const args = {
-      address: CONFIG.minerAddress,
-      abi: minerAbi,
-      functionName: 'claim',
-      args: [epoch],
-    };
-
-    try {
-      const txHash = await writeContractAsync(args);
-      return txHash;
-    } catch (error) {
-      const msg = parseContractError(error);
-      if (msg) throw new Error(msg);
-      throw error;
-    }
-  }, [writeContractAsync]);
+  const claim = useCallback((epoch, gasLimit) => write(
+    'claim',
+    [epoch],
+    gasLimit ? { gasLimit } : {},
+  ), [write]);
 
   /**
    * Claim multiple epochs
+   * @param {number[]} epochs
+   * @param {bigint} [gasLimit] - Gas limit from services/gas (wallet estimates if omitted)
    */
-  const claimBatch = useCallback(async (epochs) => {
-    const args = {
-      address: CONFIG.minerAddress,
-      abi: minerAbi,
-      functionName: 'claimBatch',
-      args: [epochs],
-    };
+  const claimBatch = useCallback((epochs, gasLimit) => write(
+    'claimBatch',
+    [epochs],
+    gasLimit ? { gasLimit } : {},
+  ), [write]);
 
-    try {
-      const txHash = await writeContractAsync(args);
-      return txHash;
-    } catch (error) {
-      const msg = parseContractError(error);
-      if (msg) throw new Error(msg);
-      throw error;
+  /**
+   * Withdraw all pending ETH refunds to the connected wallet
+   * @param {bigint} [gasLimit] - Gas limit from useTxPreview (wallet estimates if omitted)
+   */
+  const withdrawRefund = useCallback(async (gasLimit) => {
+    if (!pendingRefundWei || pendingRefundWei === 0n) {
+      throw new Error('No refund to withdraw.');
     }
-  }, [writeContractAsync]);
+
+    logger.debug('[MINING] Sending withdrawRefund');
+    const txHash = await write('withdrawRefund', [], gasLimit ? { gasLimit } : {});
+    setTimeout(() => refetchPendingRefund(), 3000);
+    return txHash;
+  }, [write, pendingRefundWei, refetchPendingRefund]);
 
   return {
     // Actions
     requestMine,
+    requestMineFor,
     finalizeMines,
+    finalizeMinesFor,
     claim,
     claimBatch,
+    withdrawRefund,
     reset,
-    refetchPendingMines,
+    refetchPendingRefund,
     
-    // On-chain state (source of truth) - SAFE CONVERSION
-    // Handle BigInt, undefined, null, or string safely
-    pendingMinesOnChain: (() => {
-      try {
-        if (pendingMinesOnChain == null) return 0;
-        return Number(pendingMinesOnChain);
-      } catch (e) {
-        return 0; // Fallback for unsafe BigInts
-      }
-    })(),
+    // On-chain state (source of truth)
+    pendingRefundWei: pendingRefundWei ?? 0n,
     
     // Transaction state
     hash,
@@ -231,7 +150,7 @@ export function useMining() {
     isConfirming,
     isConfirmed,
     isError,
-    error: writeError ? parseContractError(writeError) : null,
+    error,
   };
 }
 
@@ -0,0 +1,41 @@
+/**
+ * useTransactions Hook
+ *
+ * React view of the persisted transaction tracker (services/txTracker).
+ * Resumes watching anything left pending by a previous session, and
+ * exposes speed-up/cancel for stuck ones.
+ */
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  subscribeTransactions,
+  getTransactions,
+  trackTransaction,
+  resumePendingTransactions,
+  clearSettledTransactions,
+  speedUpTransaction,
+  cancelTransaction,
+} from '../services/txTracker';
+
+// Several components use this hook; resume once per page load
+let resumed = false;
+
+export function useTransactions() {
+  const transactions = useSyncExternalStore(subscribeTransactions, getTransactions);
+
+  useEffect(() => {
+    if (resumed) return;
+    resumed = true;
+    resumePendingTransactions();
+  }, []);
+
+  return {
+    transactions,
+    pendingCount: transactions.filter((tx) => tx.status === 'pending').length,
+    // Hash of the newest confirmed tx - handy as a refresh key
+    lastConfirmedHash: transactions.find((tx) => tx.status === 'confirmed')?.hash ?? null,
+    track: trackTransaction,
+    clearSettled: clearSettledTransactions,
+    speedUp: speedUpTransaction,
+    cancel: cancelTransaction,
+  };
+}
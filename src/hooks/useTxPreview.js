@@ -0,0 +1,104 @@
+/**
+ * useTxPreview Hook
+ *
+ * Pre-flight check for miner writes. Simulates the call (eth_call) and
+ * estimates gas before the wallet opens, then waits for the user to confirm
+ * a preview sheet (see TxConfirmSheet). A failed simulation, or a gas limit
+ * over the block bound (services/gas), blocks the wallet prompt and shows
+ * the reason instead.
+ *
+ * Usage:
+ *   const approved = await txPreview.confirm({ title, functionName, args, value, outcome });
+ *   if (!approved) return;
+ *   await write(functionName, args, { value, gasLimit: approved.gasLimit });
+ */
+import { useState, useCallback, useRef } from 'react';
+import { useAccount } from 'wagmi';
+import { getContractClient } from '../services/contractClient';
+import { getProvider } from '../services/contracts';
+import { ERROR_MESSAGES } from '../constants/limits';
+import { sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+
+export function useTxPreview() {
+  const { address } = useAccount();
+
+  // null when closed; otherwise { title, outcome, value, isSimulating, gasLimit, gasFeeWei, error }
+  const [preview, setPreview] = useState(null);
+  const resolverRef = useRef(null);
+
+  const settle = useCallback((confirmed) => {
+    resolverRef.current?.(confirmed);
+    resolverRef.current = null;
+    setPreview(null);
+  }, []);
+
+  /**
+   * Simulate a miner write and ask the user to confirm it
+   * @param {Object} request
+   * @param {string} request.title - Sheet heading, e.g. 'Claim rewards'
+   * @param {string} request.functionName - NARAMiner function
+   * @param {Array} [request.args] - Call arguments
+   * @param {bigint} [request.value] - ETH sent with the call
+   * @param {string} [request.outcome] - Expected result, e.g. '5 tickets' or '12.5 NARA'
+   * @param {boolean} [request.autoConfirm] - Skip the sheet when simulation passes (auto-finalize)
+   * @returns {Promise<{gasLimit: bigint}|null>} The margined gas limit to send with, or null if declined
+   */
+  const confirm = useCallback(async ({ title, functionName, args = [], value = 0n, outcome, autoConfirm = false }) => {
+    // A newer request replaces any sheet still open
+    resolverRef.current?.(false);
+    let resolve;
+    let approved = null;
+    const decision = new Promise((r) => { resolve = r; });
+    const resolver = (confirmed) => resolve(confirmed ? approved : null);
+    resolverRef.current = resolver;
+
+    const base = { title, outcome, value, isSimulating: true, gasLimit: null, gasFeeWei: null, error: null };
+    if (!autoConfirm) setPreview(base);
+
+    let result;
+    try {
+      const miner = getContractClient('miner');
+      const overrides = { from: address, value };
+      await miner.simulate(functionName, args, overrides);
+      const [{ gasLimit, fits }, fees] = await Promise.all([
+        miner.estimateGas(functionName, args, overrides),
+        getProvider().getFeeData(),
+      ]);
+      const feePerGas = fees.maxFeePerGas ?? fees.gasPrice ?? 0n;
+      result = {
+        ...base,
+        isSimulating: false,
+        gasLimit,
+        // The wallet may charge up to the limit sent, not the raw estimate
+        gasFeeWei: gasLimit * feePerGas,
+        error: fits ? null : ERROR_MESSAGES.TX_TOO_LARGE,
+      };
+    } catch (error) {
+      logger.debug('[PREVIEW] Simulation failed', { functionName, error: error?.shortMessage || error?.message });
+      result = {
+        ...base,
+        isSimulating: false,
+        // Simulation errors arrive translated by the client
+        error: sanitizeError(error),
+      };
+    }
+
+    // Cancelled or superseded while simulating - decision is already null
+    if (resolverRef.current !== resolver) return decision;
+
+    if (!result.error) approved = { gasLimit: result.gasLimit };
+    if (autoConfirm && approved) {
+      resolverRef.current = null;
+      return approved;
+    }
+
+    setPreview(result);
+    return decision;
+  }, [address]);
+
+  const accept = useCallback(() => settle(true), [settle]);
+  const cancel = useCallback(() => settle(false), [settle]);
+
+  return { preview, confirm, accept, cancel };
+}
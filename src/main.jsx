@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { Suspense, lazy } from 'react';
 import ReactDOM from 'react-dom/client';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { WagmiProvider } from 'wagmi';
@@ -6,10 +6,14 @@ import { RainbowKitProvider, darkTheme } from '@rainbow-me/rainbowkit';
 import { config } from './config/wagmi';
 import ErrorBoundary from './components/ErrorBoundary';
 import RiskDisclaimer from './components/RiskDisclaimer';
-import App from './App';
+import DeploymentGate from './components/DeploymentGate';
 import './index.css';
 import '@rainbow-me/rainbowkit/styles.css';
 
+// Loaded only after the deployment check passes - services read contract
+// addresses as soon as they are imported
+const App = lazy(() => import('./App'));
+
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
@@ -24,22 +28,26 @@ const queryClient = new QueryClient({
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ErrorBoundary>
-      <RiskDisclaimer />
-      <WagmiProvider config={config}>
-        <QueryClientProvider client={queryClient}>
-          <RainbowKitProvider
-            theme={darkTheme({
-              accentColor: '#4a9eff',
-              accentColorForeground: '#0a0a0a',
-              borderRadius: 'small',
-              fontStack: 'system',
-            })}
-            modalSize="compact"
-          >
-            <App />
-          </RainbowKitProvider>
-        </QueryClientProvider>
-      </WagmiProvider>
+      <DeploymentGate>
+        <RiskDisclaimer />
+        <WagmiProvider config={config}>
+          <QueryClientProvider client={queryClient}>
+            <RainbowKitProvider
+              theme={darkTheme({
+                accentColor: '#4a9eff',
+                accentColorForeground: '#0a0a0a',
+                borderRadius: 'small',
+                fontStack: 'system',
+              })}
+              modalSize="compact"
+            >
+              <Suspense fallback={null}>
+                <App />
+              </Suspense>
+            </RainbowKitProvider>
+          </QueryClientProvider>
+        </WagmiProvider>
+      </DeploymentGate>
     </ErrorBoundary>
   </React.StrictMode>
 );
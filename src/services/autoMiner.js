@@ -0,0 +1,195 @@
+/**
+ * Auto-Miner Service
+ * Read-side helpers for the AutoMinerRegistry contract
+ *
+ * SECURITY: Uses production-safe logging and input validation
+ */
+import { ethers } from 'ethers';
+import { getContractClient } from './contractClient';
+import logger from '../utils/logger';
+import { AUTO_MINE_LIMITS, ERROR_MESSAGES } from '../constants/limits';
+
+/**
+ * Get the auto-mining config for a user
+ * @param {string} address - User wallet address
+ * @returns {Promise<Object|null>} Normalized config or null on error
+ */
+export async function getAutoMinerConfig(address) {
+  try {
+    const registry = getContractClient('registry');
+    const config = await registry.read('configs', [address]);
+
+    return {
+      // ticketsPerMine is 0 until the user has called register()
+      isRegistered: Number(config.ticketsPerMine) > 0,
+      enabled: config.enabled,
+      stopOnAnyJackpot: config.stopOnAnyJackpot,
+      ticketsPerMine: Number(config.ticketsPerMine),
+      minesPerWindow: Number(config.minesPerWindow),
+      windowEpochs: Number(config.windowEpochs),
+      minesInCurrentWindow: Number(config.minesInCurrentWindow),
+      currentWindowStart: Number(config.currentWindowStart),
+      lastMinedEpoch: Number(config.lastMinedEpoch),
+      lastJackpotEpochSeen: Number(config.lastJackpotEpochSeen),
+      depositedBalance: config.depositedBalance,
+      stopWinThreshold: config.stopWinThreshold,
+      totalMined: Number(config.totalMined),
+    };
+  } catch (error) {
+    logger.error('getAutoMinerConfig failed', error);
+    return null;
+  }
+}
+
+/**
+ * Get the projected cost of the user's next scheduled mine
+ * @param {string} address - User wallet address
+ * @returns {Promise<{totalCost: bigint, ticketCost: bigint, serviceFee: bigint}|null>}
+ */
+export async function getProjectedCost(address) {
+  try {
+    const registry = getContractClient('registry');
+    const { totalCost, ticketCost, serviceFee } = await registry.read('getProjectedCost', [address]);
+    return { totalCost, ticketCost, serviceFee };
+  } catch (error) {
+    logger.error('getProjectedCost failed', error);
+    return null;
+  }
+}
+
+/**
+ * Estimate how long a deposit lasts under the user's schedule
+ * @param {bigint} depositedBalance - ETH held by the registry for the user
+ * @param {bigint} costPerMine - Projected cost (tickets + service fee) of one mine
+ * @param {number} minesPerWindow - Mines per window
+ * @param {number} windowEpochs - Window length in epochs
+ * @returns {{ mines: number, epochs: number }} Mines covered and the epochs they span
+ */
+export function calculateRunway(depositedBalance, costPerMine, minesPerWindow, windowEpochs) {
+  if (!costPerMine || costPerMine <= 0n || !minesPerWindow) {
+    return { mines: 0, epochs: 0 };
+  }
+  const mines = Number(depositedBalance / costPerMine);
+  const epochs = Math.floor((mines * windowEpochs) / minesPerWindow);
+  return { mines, epochs };
+}
+
+/**
+ * Ask the registry which of the next epochs it would mine for the user
+ * under the config currently stored on-chain
+ * @param {string} address - User wallet address
+ * @param {number} fromEpoch - First epoch to check
+ * @param {number} count - Number of consecutive epochs
+ * @returns {Promise<Array<{epoch: number, willMine: boolean}>|null>}
+ */
+export async function getOnChainMiningEpochs(address, fromEpoch, count = AUTO_MINE_LIMITS.PREVIEW_EPOCHS) {
+  try {
+    const registry = getContractClient('registry');
+    const epochs = Array.from({ length: count }, (_, i) => fromEpoch + i);
+    const results = await Promise.all(
+      epochs.map((epoch) => registry.read('shouldMineThisEpoch', [address, epoch]))
+    );
+    return epochs.map((epoch, i) => ({ epoch, willMine: results[i] }));
+  } catch (error) {
+    logger.error('getOnChainMiningEpochs failed', error);
+    return null;
+  }
+}
+
+/**
+ * Estimate which epochs the bot mines under a schedule, assuming every
+ * eligible epoch is mined (the same window rules the registry applies:
+ * one mine per epoch, at most minesPerWindow per windowEpochs-long window)
+ * @param {Object} config - Current config from getAutoMinerConfig()
+ * @param {{minesPerWindow: number, windowEpochs: number}} schedule - Schedule to project
+ * @param {number} fromEpoch - First epoch to project
+ * @param {number} count - Number of consecutive epochs
+ * @returns {Array<{epoch: number, willMine: boolean}>}
+ */
+export function projectMiningEpochs(config, schedule, fromEpoch, count = AUTO_MINE_LIMITS.PREVIEW_EPOCHS) {
+  let windowStart = config.currentWindowStart;
+  let minesInWindow = config.minesInCurrentWindow;
+  const projection = [];
+
+  for (let epoch = fromEpoch; epoch < fromEpoch + count; epoch++) {
+    if (epoch >= windowStart + schedule.windowEpochs) {
+      windowStart = epoch;
+      minesInWindow = 0;
+    }
+    const willMine = config.enabled
+      && epoch !== config.lastMinedEpoch
+      && minesInWindow < schedule.minesPerWindow;
+    if (willMine) minesInWindow++;
+    projection.push({ epoch, willMine });
+  }
+
+  return projection;
+}
+
+/**
+ * Whether projectMiningEpochs() reproduces the registry's answer for the
+ * schedule it already stores. shouldMineThisEpoch() only reads saved
+ * configs, so a draft's projection is trusted only when this holds.
+ * @param {Object} config - Current config from getAutoMinerConfig()
+ * @param {Array<{epoch: number, willMine: boolean}>} onChain - From getOnChainMiningEpochs()
+ * @returns {boolean}
+ */
+export function projectionMatchesOnChain(config, onChain) {
+  if (!onChain?.length) return false;
+  const projected = projectMiningEpochs(config, config, onChain[0].epoch, onChain.length);
+  return projected.every(({ willMine }, i) => willMine === onChain[i].willMine);
+}
+
+/**
+ * Validate an auto-mining schedule before sending it to the registry
+ * Only lower bounds are checked here; upper bounds are the registry's
+ * (see useAutoMiner, which simulates schedule writes)
+ * @param {Object} schedule
+ * @param {number} [schedule.ticketsPerMine] - Tickets per scheduled mine (register only)
+ * @param {number} schedule.minesPerWindow - Mines allowed per window
+ * @param {number} schedule.windowEpochs - Window length in epochs
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateAutoMineSchedule({ ticketsPerMine, minesPerWindow, windowEpochs }) {
+  const isInt = (v) => Number.isInteger(v);
+
+  if (ticketsPerMine !== undefined) {
+    if (!isInt(ticketsPerMine) || ticketsPerMine < AUTO_MINE_LIMITS.MIN_TICKETS_PER_MINE) {
+      return { valid: false, error: ERROR_MESSAGES.INVALID_AMOUNT };
+    }
+  }
+
+  if (!isInt(windowEpochs) || windowEpochs < AUTO_MINE_LIMITS.MIN_WINDOW_EPOCHS) {
+    return { valid: false, error: ERROR_MESSAGES.INVALID_SCHEDULE };
+  }
+
+  if (!isInt(minesPerWindow) || minesPerWindow < AUTO_MINE_LIMITS.MIN_MINES_PER_WINDOW) {
+    return { valid: false, error: ERROR_MESSAGES.INVALID_SCHEDULE };
+  }
+  // The registry mines at most once per epoch, so a window cannot hold more mines than epochs
+  if (minesPerWindow > windowEpochs) {
+    return { valid: false, error: 'Mines per window cannot exceed window length' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Parse and validate a stop-win threshold entered in ETH
+ * @param {string} input - ETH amount; empty or 0 disables the threshold
+ * @returns {{ valid: boolean, wei?: bigint, error?: string }}
+ */
+export function parseStopWinThreshold(input) {
+  if (!input || parseFloat(input) === 0) {
+    return { valid: true, wei: 0n };
+  }
+  try {
+    const wei = ethers.parseEther(input);
+    if (wei < 0n) {
+      return { valid: false, error: ERROR_MESSAGES.INVALID_AMOUNT };
+    }
+    return { valid: true, wei };
+  } catch {
+    return { valid: false, error: ERROR_MESSAGES.INVALID_AMOUNT };
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Claim History Service
+ * Index a user's Claimed / BatchClaimed logs and cache them in IndexedDB
+ *
+ * History is rebuilt from chain events, so it includes claims made from other
+ * devices or frontends. The cache is keyed by chain, miner and user, and each
+ * sync only scans blocks after the last indexed one.
+ *
+ * Without a deploy block in the manifest the first sync covers the default
+ * lookback only; each later sync backfills one more window until the scan
+ * reaches block 0. Until then the history is partial, and the caller keeps
+ * syncing in the background (components/ClaimHistory) until it is complete.
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { ethers } from 'ethers';
+import { getProvider, getLogScanStart } from './contracts';
+import { getContractClient } from './contractClient';
+import { CONFIG } from '../constants';
+import { LOG_LIMITS } from '../constants/limits';
+import logger from '../utils/logger';
+
+const DB_NAME = 'nara-indexer';
+const DB_VERSION = 1;
+const STORE = 'claimHistory';
+
+let dbPromise = null;
+// Stand-in when IndexedDB is unavailable, so backfill still progresses this session
+const memoryCache = new Map();
+// One sync per cache key at a time
+const inFlight = new Map();
+
+/**
+ * Open (or create) the indexer database
+ * Resolves null where IndexedDB is unavailable (private mode, Node)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        logger.warn('IndexedDB unavailable, claim history will not be cached');
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function readCache(key) {
+  const db = await openDb();
+  if (!db) return memoryCache.get(key) || null;
+  return new Promise((resolve) => {
+    const request = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => resolve(null);
+  });
+}
+
+async function writeCache(key, value) {
+  const db = await openDb();
+  if (!db) {
+    memoryCache.set(key, value);
+    return;
+  }
+  await new Promise((resolve) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(value, key);
+    tx.oncomplete = resolve;
+    tx.onerror = () => {
+      logger.warn('Failed to cache claim history', tx.error);
+      resolve();
+    };
+  });
+}
+
+const cacheKey = (address) =>
+  `${CONFIG.chainId}:${CONFIG.minerAddress.toLowerCase()}:${address.toLowerCase()}`;
+
+/**
+ * Fold raw logs into one entry per transaction
+ * A batch claim's BatchClaimed log is authoritative; any per-epoch Claimed
+ * logs in the same transaction are not counted again
+ * @param {ethers.EventLog[]} claimedLogs
+ * @param {ethers.EventLog[]} batchLogs
+ * @returns {Array<Object>} Entries without timestamps
+ */
+function toEntries(claimedLogs, batchLogs) {
+  const byTx = new Map();
+
+  for (const log of batchLogs) {
+    byTx.set(log.transactionHash, {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      epochs: log.args.epochs.map(Number),
+      amountWei: log.args.totalPayout.toString(),
+      isBatch: true,
+    });
+  }
+
+  for (const log of claimedLogs) {
+    const existing = byTx.get(log.transactionHash);
+    if (existing?.isBatch) continue;
+    if (existing) {
+      existing.epochs.push(Number(log.args.epoch));
+      existing.amountWei = (BigInt(existing.amountWei) + log.args.amountToken).toString();
+    } else {
+      byTx.set(log.transactionHash, {
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        epochs: [Number(log.args.epoch)],
+        amountWei: log.args.amountToken.toString(),
+        isBatch: false,
+      });
+    }
+  }
+
+  return [...byTx.values()];
+}
+
+/**
+ * Index claims in a block range, with block timestamps
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function scanRange(address, fromBlock, toBlock) {
+  const provider = getProvider();
+  const miner = getContractClient('miner');
+  const [claimedLogs, batchLogs] = await Promise.all([
+    miner.queryEvents('Claimed', [null, address], fromBlock, toBlock),
+    miner.queryEvents('BatchClaimed', [address], fromBlock, toBlock),
+  ]);
+
+  const fresh = toEntries(claimedLogs, batchLogs);
+  const blocks = await Promise.all(
+    [...new Set(fresh.map((e) => e.blockNumber))].map((n) => provider.getBlock(n))
+  );
+  const timeByBlock = new Map(blocks.filter(Boolean).map((b) => [b.number, b.timestamp * 1000]));
+  fresh.forEach((e) => { e.timestamp = timeByBlock.get(e.blockNumber) || null; });
+  return fresh;
+}
+
+async function sync(address) {
+  const key = cacheKey(address);
+  const cached = await readCache(key);
+  // Caches from before scannedFrom was tracked can't say what they cover - rebuild
+  const usable = cached && Number.isInteger(cached.scannedFrom) ? cached : null;
+
+  const head = await getProvider().getBlockNumber();
+  const floor = CONFIG.deployBlock || 0;
+  let entries = usable?.entries || [];
+  let scannedFrom = usable?.scannedFrom;
+  const ranges = [];
+
+  if (!usable) {
+    scannedFrom = getLogScanStart(head).fromBlock;
+    ranges.push([scannedFrom, head]);
+  } else {
+    if (usable.syncedBlock < head) ranges.push([usable.syncedBlock + 1, head]);
+    // Backfill one window per sync until the deploy block is reached
+    if (scannedFrom > floor) {
+      const from = Math.max(floor, scannedFrom - LOG_LIMITS.DEFAULT_LOOKBACK_BLOCKS);
+      ranges.push([from, scannedFrom - 1]);
+      scannedFrom = from;
+    }
+  }
+
+  if (ranges.length > 0) {
+    const fresh = (await Promise.all(ranges.map(([from, to]) => scanRange(address, from, to)))).flat();
+    const known = new Set(entries.map((e) => e.txHash));
+    entries = [...entries, ...fresh.filter((e) => !known.has(e.txHash))]
+      .sort((a, b) => b.blockNumber - a.blockNumber);
+
+    await writeCache(key, { syncedBlock: head, scannedFrom, entries });
+  }
+
+  return { entries, syncedBlock: head, scannedFrom, complete: scannedFrom <= floor };
+}
+
+/**
+ * Sync and return a user's full claim history
+ * @param {string} address - User wallet address
+ * @returns {Promise<Object|null>} { entries, totalClaimed, syncedBlock, scannedFrom, complete } with
+ *   entries newest first, each { txHash, blockNumber, timestamp, epochs, amount }; `complete` is false
+ *   while older blocks are still to be backfilled (totalClaimed is then a partial sum); null on error
+ */
+export async function getClaimHistory(address) {
+  const key = cacheKey(address);
+  if (!inFlight.has(key)) {
+    inFlight.set(key, sync(address).finally(() => inFlight.delete(key)));
+  }
+
+  try {
+    const { entries, syncedBlock, scannedFrom, complete } = await inFlight.get(key);
+    const totalWei = entries.reduce((sum, e) => sum + BigInt(e.amountWei), 0n);
+    return {
+      entries: entries.map((e) => ({ ...e, amount: ethers.formatEther(e.amountWei) })),
+      totalClaimed: ethers.formatEther(totalWei),
+      syncedBlock,
+      scannedFrom,
+      complete,
+    };
+  } catch (error) {
+    logger.error('getClaimHistory failed', error);
+    return null;
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Contract Client
+ * One interface for every contract interaction - reads, simulation, gas
+ * estimation, writes and event queries - built from the ABI JSONs in
+ * src/abis. Hooks, services, the keeper and the faucet all go through it,
+ * so RPC routing (services/rpcPool) and error translation
+ * (utils/contractErrors) are the same everywhere.
+ *
+ * Method and event names are checked against the ABI before anything is
+ * sent, so a typo fails loudly instead of as an opaque RPC error.
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import {
+  getProvider,
+  getSigner,
+  ensureCorrectNetwork,
+  getTokenContract,
+  getMinerContract,
+  getRegistryContract,
+  getLensContract,
+  getMulticallContract,
+  queryLogsChunked,
+} from './contracts';
+import { estimateGasLimit } from './gas';
+import { CONFIG } from '../constants';
+import { ERROR_MESSAGES } from '../constants/limits';
+import { formatContractError } from '../utils/contractErrors';
+import { sanitizeError } from '../utils/validation';
+import logger from '../utils/logger';
+
+/**
+ * @typedef {'token' | 'miner' | 'registry' | 'lens' | 'multicall'} ContractName
+ */
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {bigint} [value] - ETH sent with the call
+ * @property {bigint} [gasLimit] - Explicit gas limit (otherwise the wallet estimates)
+ * @property {number} [nonce] - Explicit nonce
+ * @property {ethers.Signer} [signer] - Sender; defaults to the connected wallet
+ */
+
+const FACTORIES = {
+  token: getTokenContract,
+  miner: getMinerContract,
+  registry: getRegistryContract,
+  lens: getLensContract,
+  multicall: getMulticallContract,
+};
+
+const isRejection = (error) => {
+  const text = `${error?.shortMessage || ''} ${error?.message || ''}`;
+  return error?.code === 'ACTION_REJECTED' || error?.code === 4001
+    || /user rejected|user denied|rejected the request/i.test(text);
+};
+
+/**
+ * Translate any contract/wallet error into one user-facing message
+ * The original stays on `cause` for callers that inspect it (services/gas)
+ * @param {Error} error
+ * @returns {Error}
+ */
+function toUserError(error) {
+  if (isRejection(error)) return new Error(ERROR_MESSAGES.TRANSACTION_REJECTED, { cause: error });
+  return new Error(formatContractError(error) || sanitizeError(error), { cause: error });
+}
+
+const walletChainId = async (signer) => Number(await signer.provider.send('eth_chainId', []));
+
+// The connected wallet must be on our chain before it signs anything. After
+// a switch the old signer's provider still points at the previous chain, so
+// a fresh one is returned. Explicit signers (keeper, faucet) are bound to the
+// pooled provider and skip this check.
+async function onWalletChain(signer) {
+  if (await walletChainId(signer) === CONFIG.chainId) return signer;
+
+  await ensureCorrectNetwork();
+  const switched = await getSigner();
+  if (!switched || await walletChainId(switched) !== CONFIG.chainId) {
+    throw new Error(ERROR_MESSAGES.WRONG_CHAIN);
+  }
+  return switched;
+}
+
+class ContractClient {
+  /**
+   * @param {ContractName} name
+   */
+  constructor(name) {
+    if (!FACTORIES[name]) throw new Error(`Unknown contract: ${name}`);
+    this.name = name;
+  }
+
+  /** Read-only ethers contract on the pooled provider */
+  get contract() {
+    return FACTORIES[this.name]();
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  get interface() {
+    return this.contract.interface;
+  }
+
+  #fn(method) {
+    const fragment = this.interface.getFunction(method);
+    if (!fragment) throw new Error(`${this.name} has no function ${method}`);
+    return this.contract.getFunction(fragment);
+  }
+
+  /**
+   * Call a view function
+   * @param {string} method
+   * @param {Array} [args]
+   * @param {Object} [options]
+   * @param {number|string} [options.blockTag] - Pin the read to a block
+   * @returns {Promise<*>}
+   */
+  read(method, args = [], { blockTag } = {}) {
+    return this.#fn(method).staticCall(...args, blockTag !== undefined ? { blockTag } : {});
+  }
+
+  /**
+   * Simulate a write (eth_call from the sender); throws the translated revert
+   * @param {string} method
+   * @param {Array} [args]
+   * @param {Object} [options]
+   * @param {string} [options.from] - Sender to simulate as
+   * @param {bigint} [options.value]
+   * @returns {Promise<*>} Return value the write would produce
+   */
+  async simulate(method, args = [], { from, value } = {}) {
+    try {
+      return await this.#fn(method).staticCall(...args, { from, value });
+    } catch (error) {
+      logger.debug(`[CLIENT] ${this.name}.${method} simulation reverted`, error?.shortMessage || error?.message);
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Estimate gas with the configured margin (see services/gas)
+   * @param {string} method
+   * @param {Array} [args]
+   * @param {Object} [options] - { from, value }
+   * @returns {Promise<{gasLimit: bigint, estimated: bigint, maxTxGas: bigint, fits: boolean}>}
+   */
+  async estimateGas(method, args = [], options = {}) {
+    this.#fn(method);
+    try {
+      return await estimateGasLimit(this.contract, method, args, options);
+    } catch (error) {
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Send a write
+   * Browser wallets return as soon as the wallet hands back a hash (no
+   * waiting on the wallet's own RPC); follow it with services/txTracker or
+   * waitForTransaction
+   * @param {string} method
+   * @param {Array} [args]
+   * @param {WriteOptions} [options]
+   * @returns {Promise<string>} Transaction hash
+   */
+  async write(method, args = [], { signer, ...overrides } = {}) {
+    this.#fn(method);
+    const wallet = signer || await getSigner();
+    if (!wallet) throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+
+    try {
+      const sender = signer ? wallet : await onWalletChain(wallet);
+      const request = await this.contract.connect(sender).getFunction(method).populateTransaction(...args, overrides);
+      logger.tx(`${this.name}.${method}:send`, { args: args.length });
+
+      const hash = typeof sender.sendUncheckedTransaction === 'function'
+        ? await sender.sendUncheckedTransaction(request)
+        : (await sender.sendTransaction(request)).hash;
+
+      logger.tx(`${this.name}.${method}:sent`, { hash: hash.slice(0, 10) });
+      return hash;
+    } catch (error) {
+      logger.error(`${this.name}.${method} failed`, error);
+      throw toUserError(error);
+    }
+  }
+
+  /**
+   * Query events in block-range chunks
+   * @param {string} event - Event name
+   * @param {Array} [filterArgs] - Indexed argument filters (null = any)
+   * @param {number} [fromBlock] - Defaults to the deploy block / lookback window
+   * @param {number} [toBlock] - Defaults to the current head
+   * @returns {Promise<Array<ethers.EventLog>>}
+   */
+  queryEvents(event, filterArgs = [], fromBlock, toBlock) {
+    if (!this.interface.getEvent(event)) throw new Error(`${this.name} has no event ${event}`);
+    const contract = this.contract;
+    return queryLogsChunked(contract, contract.filters[event](...filterArgs), fromBlock, toBlock);
+  }
+
+  /**
+   * Decode this contract's events from receipt logs
+   * @param {Array<ethers.Log>} logs
+   * @param {string[]} [names] - Only keep these events
+   * @returns {Array<ethers.LogDescription>}
+   */
+  decodeLogs(logs, names) {
+    const address = this.address.toLowerCase();
+    return logs
+      .filter((log) => log.address.toLowerCase() === address)
+      .map((log) => {
+        try { return this.interface.parseLog(log); } catch { return null; }
+      })
+      .filter((parsed) => parsed && (!names || names.includes(parsed.name)));
+  }
+
+  /**
+   * Calldata for a call (e.g. to batch through multicall)
+   * @param {string} method
+   * @param {Array} [args]
+   * @returns {string}
+   */
+  encode(method, args = []) {
+    this.#fn(method);
+    return this.interface.encodeFunctionData(method, args);
+  }
+
+  /**
+   * Decode return data; single return values are unwrapped
+   * @param {string} method
+   * @param {string} data
+   * @returns {*}
+   */
+  decode(method, data) {
+    const decoded = this.interface.decodeFunctionResult(method, data);
+    return decoded.length === 1 ? decoded[0] : decoded;
+  }
+}
+
+const clients = new Map();
+
+/**
+ * Get the client for a contract
+ * @param {ContractName} name
+ * @returns {ContractClient}
+ */
+export function getContractClient(name) {
+  if (!clients.has(name)) clients.set(name, new ContractClient(name));
+  return clients.get(name);
+}
+
+/**
+ * Run view calls through Multicall3.aggregate3 (one eth_call)
+ * Individual failures come back as null instead of failing the batch
+ * @param {Array<{key: string, contract: ContractClient, method: string, args?: Array}>} reads
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag] - Pin every read to a block
+ * @returns {Promise<Object>} Decoded results keyed by read.key
+ */
+export async function aggregate(reads, { blockTag } = {}) {
+  const calls = reads.map(({ contract, method, args = [] }) => ({
+    target: contract.address,
+    allowFailure: true,
+    callData: contract.encode(method, args),
+  }));
+
+  const results = await getContractClient('multicall').read('aggregate3', [calls], { blockTag });
+
+  return Object.fromEntries(reads.map(({ key, contract, method }, i) => {
+    const { success, returnData } = results[i];
+    if (!success) {
+      logger.debug(`[CLIENT] ${contract.name}.${method} reverted in batch`);
+      return [key, null];
+    }
+    // Single return values (including structs) are unwrapped
+    try {
+      return [key, contract.decode(method, returnData)];
+    } catch {
+      // Success with undecodable data: the target doesn't implement this function
+      logger.debug(`[CLIENT] ${contract.name}.${method} returned malformed data`);
+      return [key, null];
+    }
+  }));
+}
+
+/**
+ * Wait for a transaction sent through a client
+ * @param {string} hash
+ * @returns {Promise<ethers.TransactionReceipt|null>}
+ */
+export function waitForTransaction(hash) {
+  return getProvider().waitForTransaction(hash);
+}
@@ -1,50 +1,53 @@
 /**
  * Contract Service
- * Handles ethers.js provider, signer, and contract instances
+ * Handles ethers.js provider, signer, and contract instances (wrapped by
+ * services/contractClient), plus the dashboard reads built on the client
  * 
  * SECURITY: Uses production-safe logging
  */
 import { ethers } from 'ethers';
-import { CONFIG, TOKEN_ABI, MINER_ABI, REGISTRY_ABI, LENS_ABI } from '../constants';
+import { CONFIG, EPOCH_SECONDS, TOKEN_ABI, MINER_ABI, REGISTRY_ABI, LENS_ABI, MULTICALL_ABI } from '../constants';
+import { LOG_LIMITS, CLAIM_LIMITS } from '../constants/limits';
 import logger from '../utils/logger';
+import { sendRpcPayload, pinRpcEndpoint, getActiveRpcUrl, describeEndpoint } from './rpcPool';
+import { getContractClient, aggregate } from './contractClient';
 
 let provider = null;
-let providerIndex = 0;
 
-// RPC request timeout (30 seconds)
-const RPC_TIMEOUT = 30000;
-
-// Fallback RPC endpoints - ONLY working ones
-// NOTE: sepolia.base.org removed - returns 403 Forbidden
-const RPC_ENDPOINTS = [
-  'https://base-sepolia.g.alchemy.com/v2/obPLENfqSksoovd3JTUbM',  // Alchemy - primary
-  'https://base-sepolia-rpc.publicnode.com',  // publicnode - reliable fallback
-].filter(Boolean);
+/**
+ * ethers provider backed by the shared RPC pool (services/rpcPool)
+ * Failover happens per request, so one long-lived instance is safe to hold
+ * (contracts, the keeper's Wallet)
+ */
+class PooledRpcProvider extends ethers.JsonRpcApiProvider {
+  async _send(payload) {
+    const body = await sendRpcPayload(payload);
+    return Array.isArray(body) ? body : [body];
+  }
+}
 
 /**
- * Get JSON-RPC provider with fallback support
- * Will try next provider if current one fails
+ * Get JSON-RPC provider
+ * Requests go to the pool's active endpoint and fail over automatically
  */
 export function getProvider() {
   if (!provider) {
-    const rpcUrl = RPC_ENDPOINTS[providerIndex] || RPC_ENDPOINTS[0];
-    provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
+    provider = new PooledRpcProvider(ethers.Network.from(CONFIG.chainId), {
       staticNetwork: true,
       batchMaxCount: 1,
     });
-    logger.debug('Provider initialized:', rpcUrl.replace(/\/\/.*@/, '//***@'));
+    logger.debug('Provider initialized:', describeEndpoint(getActiveRpcUrl()));
   }
   return provider;
 }
 
 /**
- * Reset provider to try next fallback
- * Call this when RPC errors occur
+ * Pin the read provider to a specific RPC endpoint
+ * Used by the headless keeper to target a local Anvil/Hardhat fork
+ * @param {string} rpcUrl
  */
-export function resetProvider() {
-  provider = null;
-  providerIndex = (providerIndex + 1) % RPC_ENDPOINTS.length;
-  logger.debug('Switching to fallback RPC:', providerIndex);
+export function setRpcEndpoint(rpcUrl) {
+  pinRpcEndpoint(rpcUrl);
   return getProvider();
 }
 
@@ -68,15 +71,12 @@ export function setWalletClient(client) {
 
 /**
  * Convert wagmi wallet client to ethers signer
+ * The network is detected from the wallet rather than taken from the
+ * client, whose chain is stale right after a switch
  */
 function walletClientToSigner(walletClient) {
-  const { account, chain, transport } = walletClient;
-  const network = {
-    chainId: chain.id,
-    name: chain.name,
-    ensAddress: chain.contracts?.ensRegistry?.address,
-  };
-  const provider = new ethers.BrowserProvider(transport, network);
+  const { account, transport } = walletClient;
+  const provider = new ethers.BrowserProvider(transport);
   return new ethers.JsonRpcSigner(provider, account.address);
 }
 
@@ -138,12 +138,10 @@ export function getMinerContract() {
 }
 
 /**
- * Get Miner contract with signer (for writing)
+ * Get AutoMinerRegistry contract (read-only)
  */
-export async function getMinerContractWrite() {
-  const signer = await getSigner();
-  if (!signer) return null;
-  return new ethers.Contract(CONFIG.minerAddress, MINER_ABI, signer);
+export function getRegistryContract() {
+  return new ethers.Contract(CONFIG.registryAddress, REGISTRY_ABI, getProvider());
 }
 
 /**
@@ -153,19 +151,61 @@ export function getLensContract() {
   return new ethers.Contract(CONFIG.lensAddress, LENS_ABI, getProvider());
 }
 
+/**
+ * Get Multicall3 contract (read-only)
+ */
+export function getMulticallContract() {
+  return new ethers.Contract(CONFIG.multicallAddress, MULTICALL_ABI, getProvider());
+}
+
+/**
+ * First block an event scan should start at
+ * The manifest's deploy block when it has one; otherwise the default
+ * lookback window, which misses older logs (partial)
+ * @param {number} head - Latest block
+ * @returns {{fromBlock: number, partial: boolean}}
+ */
+export function getLogScanStart(head) {
+  if (CONFIG.deployBlock) return { fromBlock: CONFIG.deployBlock, partial: false };
+  const fromBlock = Math.max(0, head - LOG_LIMITS.DEFAULT_LOOKBACK_BLOCKS);
+  return { fromBlock, partial: fromBlock > 0 };
+}
+
+/**
+ * Query contract events in block-range chunks
+ * Public RPCs cap eth_getLogs ranges, so large scans are split up
+ * @param {ethers.Contract} contract - Contract to query
+ * @param {ethers.DeferredTopicFilter|string} filter - Event filter or name
+ * @param {number} [fromBlock] - First block (defaults to deploy block or lookback window)
+ * @param {number} [toBlock] - Last block (defaults to latest)
+ * @returns {Promise<ethers.EventLog[]>}
+ */
+export async function queryLogsChunked(contract, filter, fromBlock, toBlock) {
+  const head = toBlock ?? await getProvider().getBlockNumber();
+  const start = fromBlock ?? getLogScanStart(head).fromBlock;
+
+  const logs = [];
+  for (let from = start; from <= head; from += LOG_LIMITS.CHUNK_BLOCKS) {
+    const to = Math.min(from + LOG_LIMITS.CHUNK_BLOCKS - 1, head);
+    const chunk = await contract.queryFilter(filter, from, to);
+    logs.push(...chunk);
+  }
+  return logs;
+}
+
 /**
  * Fetch bonus overview for a user
  * @param {string} address - User wallet address
  */
 export async function fetchBonusOverview(address) {
   try {
-    const lens = getLensContract();
+    const lens = getContractClient('lens');
     // getBonusOverview(miner, token, user)
-    const overview = await lens.getBonusOverview(
+    const overview = await lens.read('getBonusOverview', [
       CONFIG.minerAddress,
       CONFIG.tokenAddress,
-      address
-    );
+      address,
+    ]);
     // DEBUG: Log jackpot values
     console.log('[DEBUG] fetchBonusOverview jackpot:', {
       baseChanceBps: overview.jackpot.baseChanceBps?.toString(),
@@ -179,10 +219,34 @@ export async function fetchBonusOverview(address) {
   }
 }
 
+// Chain definition for wallet_addEthereumChain through a wagmi wallet client
+const walletChain = () => ({
+  id: CONFIG.chainId,
+  name: CONFIG.chainName,
+  nativeCurrency: CONFIG.nativeCurrency,
+  rpcUrls: { default: { http: CONFIG.rpcUrls } },
+  blockExplorers: CONFIG.explorerUrl ? { default: { name: CONFIG.explorerName, url: CONFIG.explorerUrl } } : undefined,
+});
+
 /**
- * Ensure wallet is on the correct network (Base Sepolia)
+ * Ensure wallet is on the active network profile's chain
+ * Goes through the wagmi wallet client when there is one (WalletConnect,
+ * mobile), otherwise window.ethereum
  */
 export async function ensureCorrectNetwork() {
+  if (currentWalletClient) {
+    if (await currentWalletClient.getChainId() === CONFIG.chainId) return;
+
+    logger.debug('Switching network (wallet client)...');
+    try {
+      await currentWalletClient.switchChain({ id: CONFIG.chainId });
+    } catch (error) {
+      if (error.code !== 4902) throw error;
+      await currentWalletClient.addChain({ chain: walletChain() });
+    }
+    return;
+  }
+
   if (typeof window === 'undefined' || !window.ethereum) {
     throw new Error('No wallet detected');
   }
@@ -207,10 +271,10 @@ export async function ensureCorrectNetwork() {
         method: 'wallet_addEthereumChain',
         params: [{
           chainId: hexChainId,
-          chainName: 'Base Sepolia',
-          nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-          rpcUrls: [CONFIG.rpcUrl],
-          blockExplorerUrls: [CONFIG.explorerUrl],
+          chainName: CONFIG.chainName,
+          nativeCurrency: CONFIG.nativeCurrency,
+          rpcUrls: CONFIG.rpcUrls,
+          blockExplorerUrls: CONFIG.explorerUrl ? [CONFIG.explorerUrl] : [],
         }],
       });
     } else {
@@ -219,6 +283,46 @@ export async function ensureCorrectNetwork() {
   }
 }
 
+/**
+ * Shape a raw getUserDashboard result for the UI
+ * Shared with the multicall snapshot loader (services/snapshot)
+ * @param {Object} dashboard - Raw miner.getUserDashboard() struct
+ * @param {bigint} epochEthBank - ethBank(currentEpoch)
+ * @param {bigint} hardCap - miner.hardCap()
+ * @returns {Object} Dashboard data
+ */
+export function formatUserDashboard(dashboard, epochEthBank, hardCap) {
+  return {
+    currentEpoch: Number(dashboard.currentEpoch),
+    epochSecondsRemaining: Number(dashboard.epochSecondsRemaining),
+    pendingTickets: Number(dashboard.pendingTickets),
+    pendingWeighted: dashboard.pendingWeighted,
+    pendingTotalWeighted: dashboard.pendingTotalWeighted,
+    pendingEstimatedReward: dashboard.pendingEstimatedReward,
+    holdingBonusBps: Number(dashboard.holdingBonusBps),
+    streakDays: Number(dashboard.streakDays),
+    streakBonusBps: Number(dashboard.streakBonusBps),
+    totalMultiplierBps: Number(dashboard.totalMultiplierBps),
+    jackpotEthPool: dashboard.jackpotEthPool,
+    jackpotNaraPool: dashboard.jackpotNaraPool,
+    // Current epoch's community pools
+    epochEthBank: epochEthBank,
+    epochNaraEmission: dashboard.currentBasePerMin, // basePerMin is the epoch NARA emission
+    rewardPool: dashboard.rewardPool,
+    currentBasePerMin: dashboard.currentBasePerMin,
+    ticketPrice: dashboard.ticketPrice,
+    userCanMine: dashboard.userCanMine,
+    // Hard cap info for preventing over-mining
+    hardCap: Number(hardCap),
+    // NEW: NFT bonus and cap info
+    effectiveCap: Number(dashboard.effectiveCap),
+    capBonus: Number(dashboard.capBonus),
+    jackpotOddsBps: Number(dashboard.jackpotOddsBps),
+    pendingMines: Number(dashboard.pendingMines),
+    surgeBonus: dashboard.surgeBonus,
+  };
+}
+
 /**
  * Get user dashboard data in ONE RPC call
  * @param {string} address - User wallet address
@@ -226,57 +330,91 @@ export async function ensureCorrectNetwork() {
  */
 export async function getUserDashboard(address) {
   try {
-    const miner = getMinerContract();
-    const dashboard = await miner.getUserDashboard(address);
+    const miner = getContractClient('miner');
+    const dashboard = await miner.read('getUserDashboard', [address]);
     
     // Fetch current epoch's ETH pool (ethBank) for community pool display
     const currentEpoch = Number(dashboard.currentEpoch);
     let epochEthBank = 0n;
     let hardCap = 0n;
     try {
-      [epochEthBank, hardCap] = await Promise.all([
-        miner.ethBank(currentEpoch),
-        miner.hardCap()
+      const r = await aggregate([
+        { key: 'ethBank', contract: miner, method: 'ethBank', args: [currentEpoch] },
+        { key: 'hardCap', contract: miner, method: 'hardCap' },
       ]);
+      epochEthBank = r.ethBank ?? 0n;
+      hardCap = r.hardCap ?? 0n;
     } catch (e) {
       logger.debug('Could not fetch ethBank/hardCap', e);
     }
     
-    return {
-      currentEpoch: currentEpoch,
-      epochSecondsRemaining: Number(dashboard.epochSecondsRemaining),
-      pendingTickets: Number(dashboard.pendingTickets),
-      pendingWeighted: dashboard.pendingWeighted,
-      pendingTotalWeighted: dashboard.pendingTotalWeighted,
-      pendingEstimatedReward: dashboard.pendingEstimatedReward,
-      holdingBonusBps: Number(dashboard.holdingBonusBps),
-      streakDays: Number(dashboard.streakDays),
-      streakBonusBps: Number(dashboard.streakBonusBps),
-      totalMultiplierBps: Number(dashboard.totalMultiplierBps),
-      jackpotEthPool: dashboard.jackpotEthPool,
-      jackpotNaraPool: dashboard.jackpotNaraPool,
-      // Current epoch's community pools
-      epochEthBank: epochEthBank,
-      epochNaraEmission: dashboard.currentBasePerMin, // basePerMin is the epoch NARA emission
-      rewardPool: dashboard.rewardPool,
-      currentBasePerMin: dashboard.currentBasePerMin,
-      ticketPrice: dashboard.ticketPrice,
-      userCanMine: dashboard.userCanMine,
-      // Hard cap info for preventing over-mining
-      hardCap: Number(hardCap),
-      // NEW: NFT bonus and cap info
-      effectiveCap: Number(dashboard.effectiveCap),
-      capBonus: Number(dashboard.capBonus),
-      jackpotOddsBps: Number(dashboard.jackpotOddsBps),
-      pendingMines: Number(dashboard.pendingMines),
-      surgeBonus: dashboard.surgeBonus,
-    };
+    return formatUserDashboard(dashboard, epochEthBank, hardCap);
   } catch (error) {
     logger.error('getUserDashboard failed', error);
     return null;
   }
 }
 
+/**
+ * Shape a raw getClaimableEpochsBatch result, limited by what the reward
+ * pool can actually pay out
+ * Shared with the multicall snapshot loader (services/snapshot)
+ * @param {Array} result - Raw [epochs, amounts] from the miner
+ * @param {bigint} poolVar - miner.rewardTokenPool()
+ * @param {bigint} tokenBalance - NARA held by the miner
+ * @returns {Object} Claimable data
+ */
+export function formatClaimableEpochs(result, poolVar, tokenBalance) {
+  // The contract requires BOTH checks to pass:
+  // 1. rewardTokenPool >= amount
+  // 2. token.balanceOf(this) >= amount
+  // So we must limit our claims by the SMALLER of the two
+  const effectivePool = poolVar < tokenBalance ? poolVar : tokenBalance;
+  
+  const [epochs, amounts] = result;
+  
+  const validEpochs = [];
+  const validAmounts = [];
+  const droppedEpochs = [];
+  const droppedAmounts = [];
+  let runningTotal = 0n;
+  let droppedTotal = 0n;
+  let poolRemaining = effectivePool;
+  let poolExhausted = false;
+
+  for (let i = 0; i < epochs.length; i++) {
+      const amount = amounts[i];
+      if (amount === 0n) continue;
+      
+      // Check if we can cover this amount with remaining pool
+      if (!poolExhausted && poolRemaining >= amount) {
+          validEpochs.push(Number(epochs[i]));
+          // formatEther later
+          validAmounts.push(amount);
+          runningTotal += amount;
+          poolRemaining -= amount;
+      } else {
+          // Pool exhausted for further claims in this batch -
+          // keep the rest so the UI can explain the shortfall
+          poolExhausted = true;
+          droppedEpochs.push(Number(epochs[i]));
+          droppedAmounts.push(amount);
+          droppedTotal += amount;
+      }
+  }
+  
+  return {
+    epochs: validEpochs,
+    amounts: validAmounts.map((a) => ethers.formatEther(a)),
+    totalClaimable: ethers.formatEther(runningTotal),
+    // Owed but not payable until the reward pool is topped up
+    droppedEpochs,
+    droppedAmounts: droppedAmounts.map((a) => ethers.formatEther(a)),
+    totalDropped: ethers.formatEther(droppedTotal),
+    effectivePool: ethers.formatEther(effectivePool),
+  };
+}
+
 /**
  * Get all claimable epochs in ONE RPC call
  * @param {string} address - User wallet address
@@ -285,100 +423,226 @@ export async function getUserDashboard(address) {
  */
 export async function getClaimableEpochsBatch(address, maxEpochs = 100) {
   try {
-    const miner = getMinerContract();
+    const miner = getContractClient('miner');
+    const token = getContractClient('token');
     
-    const token = getTokenContract();
-    
-    // Fetch batch data, reward pool var, AND actual token balance
-    const [result, poolVar, tokenBalance] = await Promise.all([
-      miner.getClaimableEpochsBatch(address, maxEpochs),
-      miner.rewardTokenPool(),
-      token.balanceOf(CONFIG.minerAddress)
+    // Fetch batch data, reward pool var, AND actual token balance in one call
+    const r = await aggregate([
+      { key: 'claimable', contract: miner, method: 'getClaimableEpochsBatch', args: [address, maxEpochs] },
+      { key: 'poolVar', contract: miner, method: 'rewardTokenPool' },
+      { key: 'tokenBalance', contract: token, method: 'balanceOf', args: [CONFIG.minerAddress] },
     ]);
-    
-    // The contract requires BOTH checks to pass:
-    // 1. rewardTokenPool >= amount
-    // 2. token.balanceOf(this) >= amount
-    // So we must limit our claims by the SMALLER of the two
-    const effectivePool = poolVar < tokenBalance ? poolVar : tokenBalance;
-    
-    const [epochs, amounts] = result;
-    
-    const validEpochs = [];
-    const validAmounts = [];
-    let runningTotal = 0n;
-    let poolRemaining = effectivePool;
-
-    for (let i = 0; i < epochs.length; i++) {
-        const amount = amounts[i];
-        if (amount === 0n) continue;
-        
-        // Check if we can cover this amount with remaining pool
-        if (poolRemaining >= amount) {
-            validEpochs.push(Number(epochs[i]));
-            // formatEther later
-            validAmounts.push(amount);
-            runningTotal += amount;
-            poolRemaining -= amount;
-        } else {
-            // Pool exhausted for further claims in this batch
-            break;
-        }
+    if (r.claimable === null || r.poolVar === null || r.tokenBalance === null) {
+      throw new Error('Claimable epochs read reverted');
     }
     
+    return formatClaimableEpochs(r.claimable, r.poolVar, r.tokenBalance);
+  } catch (error) {
+    logger.error('getClaimableEpochsBatch failed', error);
+    return null;
+  }
+}
+
+/**
+ * Whether a NARA transfer into the miner was a reward pool top-up
+ * A direct topUpRewardPool() call is recognised by its calldata; one made
+ * through a proxy or another contract by the pool growing by at least the
+ * transferred amount in that block.
+ * @param {Object} log - Decoded Transfer log
+ * @param {string} selector - topUpRewardPool selector
+ * @param {Function} poolAt - Memoised rewardTokenPool() reader by block
+ * @returns {Promise<boolean>}
+ */
+async function isPoolTopUp(log, selector, poolAt) {
+  const tx = await getProvider().getTransaction(log.transactionHash);
+  if (tx?.to?.toLowerCase() === CONFIG.minerAddress.toLowerCase() && tx.data.startsWith(selector)) {
+    return true;
+  }
+  try {
+    const [before, after] = await Promise.all([poolAt(log.blockNumber - 1), poolAt(log.blockNumber)]);
+    return after - before >= log.args.value;
+  } catch (error) {
+    // Historical state can be pruned on non-archive nodes
+    logger.debug('Could not read rewardTokenPool around transfer', { txHash: log.transactionHash, error });
+    return false;
+  }
+}
+
+/**
+ * Find recent reward pool top-ups
+ * topUpRewardPool() emits no event of its own, so every NARA transfer into
+ * the miner in the window is checked, newest first, until maxResults
+ * top-ups are found
+ * @param {number} lookbackBlocks - How far back to scan
+ * @param {number} maxResults - Top-ups to return
+ * @returns {Promise<Array<{amount: string, blockNumber: number, txHash: string}>>} Newest first
+ */
+export async function getRecentPoolTopUps(lookbackBlocks = LOG_LIMITS.CHUNK_BLOCKS, maxResults = 5) {
+  try {
+    const token = getContractClient('token');
+    const miner = getContractClient('miner');
+    const selector = miner.interface.getFunction('topUpRewardPool').selector;
+
+    const head = await getProvider().getBlockNumber();
+    const logs = await token.queryEvents('Transfer', [null, CONFIG.minerAddress], Math.max(0, head - lookbackBlocks), head);
+
+    const pools = new Map();
+    const poolAt = (blockTag) => {
+      if (!pools.has(blockTag)) pools.set(blockTag, miner.read('rewardTokenPool', [], { blockTag }));
+      return pools.get(blockTag);
+    };
+
+    // Ordinary transfers can outnumber top-ups, so check a few at a time
+    const candidates = [...logs].reverse();
+    const topUps = [];
+    for (let i = 0; i < candidates.length && topUps.length < maxResults; i += maxResults) {
+      const batch = candidates.slice(i, i + maxResults);
+      const flags = await Promise.all(batch.map((log) => isPoolTopUp(log, selector, poolAt)));
+      topUps.push(...batch.filter((log, j) => flags[j]));
+    }
+
+    return topUps.slice(0, maxResults).map((log) => ({
+      amount: ethers.formatEther(log.args.value),
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+    }));
+  } catch (error) {
+    logger.error('getRecentPoolTopUps failed', error);
+    return [];
+  }
+}
+
+/**
+ * Get a user's jackpot history from the miner
+ * Lifetime totals come from contract state; individual wins from JackpotWon logs.
+ * JackpotWon carries no epoch, so it is taken from the Ticket log emitted
+ * for the winner in the same transaction.
+ * @param {string} address - User wallet address
+ * @param {number} [fromBlock] - First block to scan (defaults to deploy block or lookback)
+ * @returns {Promise<Object|null>} { winCount, totalEthWon, totalNaraWon, wins } with wins newest first
+ */
+export async function getJackpotHistory(address, fromBlock) {
+  try {
+    const miner = getContractClient('miner');
+    const provider = getProvider();
+
+    const [totals, logs] = await Promise.all([
+      aggregate([
+        { key: 'winCount', contract: miner, method: 'getJackpotWins', args: [address] },
+        { key: 'totalEthWon', contract: miner, method: 'getJackpotTotalEthWon', args: [address] },
+        { key: 'totalNaraWon', contract: miner, method: 'getJackpotTotalNaraWon', args: [address] },
+      ]),
+      miner.queryEvents('JackpotWon', [address], fromBlock),
+    ]);
+    const { winCount, totalEthWon, totalNaraWon } = totals;
+    if (winCount === null || totalEthWon === null || totalNaraWon === null) {
+      throw new Error('Jackpot totals read reverted');
+    }
+
+    const wins = await Promise.all([...logs].reverse().map(async (log) => {
+      const [receipt, block] = await Promise.all([
+        provider.getTransactionReceipt(log.transactionHash),
+        provider.getBlock(log.blockNumber),
+      ]);
+      const ticket = miner.decodeLogs(receipt?.logs || [], ['Ticket'])
+        .find((parsed) => parsed.args.user.toLowerCase() === address.toLowerCase());
+
+      return {
+        epoch: ticket ? Number(ticket.args.epoch) : null,
+        ethAmount: ethers.formatEther(log.args.amountEth),
+        naraAmount: ethers.formatEther(log.args.amountNara),
+        timestamp: block ? block.timestamp * 1000 : null,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+      };
+    }));
+
     return {
-      epochs: validEpochs,
-      amounts: validAmounts.map((a) => ethers.formatEther(a)),
-      totalClaimable: ethers.formatEther(runningTotal),
+      winCount: Number(winCount),
+      totalEthWon: ethers.formatEther(totalEthWon),
+      totalNaraWon: ethers.formatEther(totalNaraWon),
+      wins,
     };
   } catch (error) {
-    logger.error('getClaimableEpochsBatch failed', error);
+    logger.error('getJackpotHistory failed', error);
     return null;
   }
 }
 
-export async function getEpochParams() {
+/**
+ * Get per-epoch claim details for the epochs the miner reports as claimable
+ * Uses the raw contract list (not capped by the reward pool) so nothing is hidden
+ * @param {string} address - User wallet address
+ * @param {number} maxEpochs - Maximum epochs to check
+ * @returns {Promise<Array<Object>|null>} One row per epoch or null on error
+ */
+export async function getClaimBreakdown(address, maxEpochs = 100) {
   try {
-    const miner = getMinerContract();
-    
-    // Manual fallback since getEpochParams might not exist
-    const [
-      currentEpoch,
-      epochSeconds,
-      claimWindow,
-      basePerMin,
-      unitWei,
-      hardCap,
-      seeded
-    ] = await Promise.all([
-      miner.EPOCH_SECONDS(), // Actually returns epoch seconds
-      miner.EPOCH_SECONDS(), // Re-using variable name, but logic is simplified
-      miner.claimWindowEpochs(),
-      miner.basePerMin(),
-      miner.unitWei(),
-      miner.hardCap(),
-      miner.seeded().catch(() => true) // Handle missing seeded
+    const miner = getContractClient('miner');
+    const head = await aggregate([
+      { key: 'blockNumber', contract: getContractClient('multicall'), method: 'getBlockNumber' },
+      { key: 'claimable', contract: miner, method: 'getClaimableEpochsBatch', args: [address, maxEpochs] },
     ]);
+    if (head.claimable === null) throw new Error('getClaimableEpochsBatch reverted');
 
-    // Construct params similar to what getEpochParams would return
-    // Note: epochSeconds is technically returned by EPOCH_SECONDS() view
+    // Every epoch's view and preview in one multicall, pinned to the same block
+    const epochs = head.claimable[0].map(Number);
+    if (epochs.length === 0) return [];
+    const r = await aggregate(epochs.flatMap((epoch) => [
+      { key: `view${epoch}`, contract: miner, method: 'getEpochUserClaimView', args: [address, epoch] },
+      { key: `preview${epoch}`, contract: miner, method: 'previewClaim', args: [address, epoch] },
+    ]), { blockTag: Number(head.blockNumber) });
+
+    return epochs
+      .filter((epoch) => r[`view${epoch}`] !== null)
+      .map((epoch) => {
+        const view = r[`view${epoch}`];
+        return {
+          epoch,
+          epochInitialized: view.epochInitialized,
+          claimed: view.claimed,
+          expired: view.expired,
+          canClaim: view.canClaim,
+          userWeighted: view.userWeighted,
+          totalWeighted: view.totalWeighted,
+          totalEmission: view.totalEmission,
+          claimableAmount: view.claimableAmount,
+          // previewClaim reverts for epochs it cannot pay out
+          previewAmount: r[`preview${epoch}`],
+        };
+      });
+  } catch (error) {
+    logger.error('getClaimBreakdown failed', error);
+    return null;
+  }
+}
+
+export async function getEpochParams() {
+  try {
+    const miner = getContractClient('miner');
     
-    // We also need to check paused 
-    let isPaused = false;
-    try {
-      isPaused = await miner.paused();
-    } catch (e) {
-      // Ignore if missing
+    // Manual fallback since getEpochParams might not exist - one multicall
+    const r = await aggregate([
+      { key: 'epochSeconds', contract: miner, method: 'EPOCH_SECONDS' },
+      { key: 'claimWindow', contract: miner, method: 'claimWindowEpochs' },
+      { key: 'basePerMin', contract: miner, method: 'basePerMin' },
+      { key: 'unitWei', contract: miner, method: 'unitWei' },
+      { key: 'hardCap', contract: miner, method: 'hardCap' },
+    ]);
+    if (Object.values(r).some((value) => value === null)) {
+      throw new Error('Epoch params read reverted');
     }
 
+    // Construct params similar to what getEpochParams would return
     return {
       currentEpoch: 0, // Not easily available without calculateEpoch, skipping or defaulting
-      epochSeconds: Number(epochSeconds),
-      claimWindow: Number(claimWindow),
-      ticketPriceWei: unitWei,
-      isPaused: isPaused,
-      basePerMinCurrent: basePerMin,
-      hardCapTickets: hardCap
+      epochSeconds: Number(r.epochSeconds),
+      claimWindow: Number(r.claimWindow),
+      ticketPriceWei: r.unitWei,
+      // NARAMiner has no pause mechanism (see services/mining getMiningStatus)
+      isPaused: false,
+      basePerMinCurrent: r.basePerMin,
+      hardCapTickets: r.hardCap
     };
   } catch (error) {
     logger.error('getEpochParams fallback failed', error);
@@ -393,3 +657,25 @@ export async function getEpochParams() {
   }
 }
 
+/**
+ * Rank unclaimed epochs by how soon their claim window closes
+ * An epoch can be claimed until currentEpoch passes epoch + claimWindow
+ * @param {number[]} epochs - Unclaimed epochs
+ * @param {number} currentEpoch - Current epoch
+ * @param {number} claimWindow - claimWindowEpochs() from getEpochParams
+ * @param {number} secondsRemaining - Seconds left in the current epoch
+ * @returns {Array<{epoch: number, epochsLeft: number, secondsLeft: number, isUrgent: boolean}>} Most urgent first
+ */
+export function getClaimExpiry(epochs, currentEpoch, claimWindow, secondsRemaining = 0) {
+  return epochs
+    .map((epoch) => {
+      const epochsLeft = Math.max(0, epoch + claimWindow - currentEpoch);
+      return {
+        epoch,
+        epochsLeft,
+        secondsLeft: epochsLeft * EPOCH_SECONDS + secondsRemaining,
+        isUrgent: epochsLeft <= CLAIM_LIMITS.EXPIRY_WARNING_EPOCHS,
+      };
+    })
+    .sort((a, b) => a.epochsLeft - b.epochsLeft || a.epoch - b.epoch);
+}
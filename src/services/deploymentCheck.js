@@ -0,0 +1,154 @@
+/**
+ * Deployment Check
+ * Verify at boot that the deployment manifest (config/networks) points at a
+ * working, correctly wired set of contracts:
+ *   1. The manifest itself is valid
+ *   2. Every address has bytecode
+ *   3. miner.token(), miner.autoMinerRegistry(), registry.miner() and
+ *      registry.token() point at the manifest's addresses
+ *   4. Functions the app relies on answer on each contract
+ * Checks 3 and 4 run in one Multicall3 batch. Gaps that don't block the
+ * app - a manifest without deployBlock - come back as warnings.
+ *
+ * An unreachable RPC is reported separately from a misconfiguration; only
+ * the latter blocks the app. Only transport errors count as unreachable -
+ * anything else thrown while verifying is a misconfiguration - and an
+ * unreachable result is not cached, so the check can run again once the
+ * RPC pool has a healthy endpoint.
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { ethers } from 'ethers';
+import { getProvider } from './contracts';
+import { getContractClient, aggregate } from './contractClient';
+import { CONFIG } from '../constants';
+import { LOG_LIMITS } from '../constants/limits';
+import logger from '../utils/logger';
+
+const CONTRACTS = [
+  { name: 'token', label: 'NARA token', address: () => CONFIG.tokenAddress },
+  { name: 'miner', label: 'NARA miner', address: () => CONFIG.minerAddress },
+  { name: 'registry', label: 'Auto-miner registry', address: () => CONFIG.registryAddress },
+  { name: 'lens', label: 'Lens', address: () => CONFIG.lensAddress },
+  { name: 'multicall', label: 'Multicall3', address: () => CONFIG.multicallAddress },
+];
+
+// Cross-references that must match the manifest
+const WIRING = [
+  { contract: 'miner', method: 'token', expected: () => CONFIG.tokenAddress, label: 'miner.token() is the token' },
+  { contract: 'miner', method: 'autoMinerRegistry', expected: () => CONFIG.registryAddress, label: 'miner.autoMinerRegistry() is the registry' },
+  { contract: 'registry', method: 'miner', expected: () => CONFIG.minerAddress, label: 'registry.miner() is the miner' },
+  { contract: 'registry', method: 'token', expected: () => CONFIG.tokenAddress, label: 'registry.token() is the token' },
+];
+
+// One call per contract into functions the app uses (zero-address user is fine for views)
+const PROBES = [
+  { contract: 'token', method: 'canMine', args: () => [ethers.ZeroAddress] },
+  { contract: 'token', method: 'decimals' },
+  { contract: 'miner', method: 'unitWei' },
+  { contract: 'miner', method: 'getEpochParams' },
+  { contract: 'miner', method: 'pendingRefunds', args: () => [ethers.ZeroAddress] },
+  { contract: 'registry', method: 'keeperTipBps' },
+  { contract: 'registry', method: 'configs', args: () => [ethers.ZeroAddress] },
+  { contract: 'lens', method: 'getBonusOverview', args: () => [CONFIG.minerAddress, CONFIG.tokenAddress, ethers.ZeroAddress] },
+];
+
+// Errors that mean the RPC could not be reached (services/rpcPool tags these),
+// plus JSON-RPC errors ethers could not classify (rate limits and the like)
+const TRANSPORT_ERRORS = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'];
+const isTransportError = (error) => TRANSPORT_ERRORS.some((code) => ethers.isError(error, code))
+  || (ethers.isError(error, 'UNKNOWN_ERROR') && error.error?.code !== undefined);
+
+const sameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+let pending = null;
+
+// Without a deploy block, every event scan (claim history, keeper, pending
+// mines) starts at the default lookback window and may miss older logs
+function manifestWarnings() {
+  if (CONFIG.deployBlock) return [];
+  return [`No deployBlock in deployments/${CONFIG.chainId}.json: event history before the last ~${LOG_LIMITS.DEFAULT_LOOKBACK_BLOCKS.toLocaleString()} blocks may be missing.`];
+}
+
+async function runChecks() {
+  const checks = [];
+  const add = (label, ok, detail = null) => checks.push({ label, ok, detail });
+
+  // 1. Manifest
+  if (CONFIG.deploymentErrors.length > 0) {
+    CONFIG.deploymentErrors.forEach((error) => add('Deployment manifest', false, error));
+    return { status: 'misconfigured', checks };
+  }
+  add('Deployment manifest', true, `v${CONFIG.manifestVersion} for chain ${CONFIG.chainId}`);
+
+  // 2. Bytecode
+  const provider = getProvider();
+  const codes = await Promise.all(CONTRACTS.map(({ address }) => provider.getCode(address())));
+  CONTRACTS.forEach(({ label, address }, i) => {
+    const hasCode = codes[i] !== '0x';
+    add(`${label} has bytecode`, hasCode, hasCode ? null : `No contract at ${address()}`);
+  });
+  if (checks.some((c) => !c.ok)) return { status: 'misconfigured', checks };
+
+  // 3 + 4. Wiring and function probes in one batch
+  const reads = [
+    ...WIRING.map(({ contract, method }, i) => ({ key: `wiring${i}`, contract: getContractClient(contract), method })),
+    ...PROBES.map(({ contract, method, args }, i) => ({
+      key: `probe${i}`,
+      contract: getContractClient(contract),
+      method,
+      args: args ? args() : [],
+    })),
+  ];
+  const r = await aggregate(reads);
+
+  WIRING.forEach(({ label, expected }, i) => {
+    const actual = r[`wiring${i}`];
+    const ok = sameAddress(actual, expected());
+    add(label, ok, ok ? null : `Got ${actual ?? 'no answer'}, manifest says ${expected()}`);
+  });
+  PROBES.forEach(({ contract, method }, i) => {
+    const ok = r[`probe${i}`] !== null;
+    add(`${contract}.${method}() responds`, ok, ok ? null : 'Call reverted or returned unexpected data (ABI mismatch?)');
+  });
+
+  return { status: checks.every((c) => c.ok) ? 'ok' : 'misconfigured', checks };
+}
+
+/**
+ * Verify the active deployment
+ * Runs once per page load, except that an unreachable result is retried on the next call
+ * @returns {Promise<{status: 'ok'|'misconfigured'|'unreachable', checks: Array<{label: string, ok: boolean, detail: string|null}>, warnings: string[]}>}
+ */
+export function verifyDeployment() {
+  if (!pending) {
+    const warnings = manifestWarnings();
+    warnings.forEach((warning) => logger.warn(`[DEPLOYMENT] ${warning}`));
+
+    pending = runChecks()
+      .then((result) => {
+        if (result.status === 'ok') {
+          logger.debug('[DEPLOYMENT] Verified', { chainId: CONFIG.chainId, checks: result.checks.length });
+        } else {
+          logger.error('[DEPLOYMENT] Misconfigured', result.checks.filter((c) => !c.ok));
+        }
+        return { ...result, warnings };
+      })
+      .catch((error) => {
+        if (!isTransportError(error)) {
+          // e.g. an ABI that doesn't match the manifest's contracts
+          logger.error('[DEPLOYMENT] Verification failed', error);
+          return {
+            status: 'misconfigured',
+            checks: [{ label: 'Deployment verification', ok: false, detail: error?.shortMessage || error?.message || String(error) }],
+            warnings,
+          };
+        }
+        // RPC down - not the manifest's fault; let the app load and show RPC status
+        logger.error('[DEPLOYMENT] Could not verify (RPC unreachable)', error);
+        pending = null;
+        return { status: 'unreachable', checks: [], warnings };
+      });
+  }
+  return pending;
+}
@@ -0,0 +1,103 @@
+/**
+ * Gas Service
+ * Estimate gas per call with a safety margin, bounded by the block gas limit,
+ * and split claim batches that would not fit in one transaction
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { getProvider } from './contracts';
+import { getContractClient } from './contractClient';
+import { CONFIG } from '../constants';
+import { TX_SETTINGS } from '../constants/limits';
+import { decodeContractError } from '../utils/contractErrors';
+import logger from '../utils/logger';
+
+let cachedBlockGasLimit = null;
+let cachedAt = 0;
+
+/**
+ * Largest gas limit a single transaction should use
+ * The block gas limit can change, so it is re-read after BLOCK_GAS_LIMIT_TTL_MS
+ * @returns {Promise<bigint>}
+ */
+export async function getMaxTxGas() {
+  if (!cachedBlockGasLimit || Date.now() - cachedAt > TX_SETTINGS.BLOCK_GAS_LIMIT_TTL_MS) {
+    const block = await getProvider().getBlock('latest');
+    cachedBlockGasLimit = block.gasLimit;
+    cachedAt = Date.now();
+  }
+  return (cachedBlockGasLimit * BigInt(TX_SETTINGS.MAX_BLOCK_GAS_BPS)) / 10000n;
+}
+
+/**
+ * Apply the configured safety margin to an estimate
+ * @param {bigint} estimated - Raw estimateGas result
+ * @returns {bigint}
+ */
+export function withGasMargin(estimated) {
+  return (estimated * BigInt(CONFIG.gasMultiplierBps)) / 10000n;
+}
+
+/**
+ * Estimate a contract call's gas limit
+ * Low-level helper behind ContractClient.estimateGas; services use the client
+ * @param {ethers.Contract} contract - Contract (read or write)
+ * @param {string} method - Function name
+ * @param {Array} args - Call arguments
+ * @param {Object} [overrides] - e.g. { from, value }
+ * @returns {Promise<{gasLimit: bigint, estimated: bigint, maxTxGas: bigint, fits: boolean}>}
+ */
+export async function estimateGasLimit(contract, method, args, overrides = {}) {
+  const [estimated, maxTxGas] = await Promise.all([
+    contract[method].estimateGas(...args, overrides),
+    getMaxTxGas(),
+  ]);
+  const gasLimit = withGasMargin(estimated);
+  return { gasLimit, estimated, maxTxGas, fits: gasLimit <= maxTxGas };
+}
+
+// Nodes report a call that needs more gas than the block allows in several ways
+const OUT_OF_GAS = /out of gas|gas required exceeds|exceeds block gas limit|gas limit reached/i;
+
+// Client errors carry the node's error on `cause`
+const isOutOfGas = (error) => [error, error?.cause]
+  .flatMap((e) => [e?.shortMessage, e?.message, e?.info?.error?.message, e?.error?.message])
+  .some((text) => typeof text === 'string' && OUT_OF_GAS.test(text));
+
+/**
+ * Split epochs into claim transactions that each fit the gas bound
+ * A batch that estimates over the bound, or runs out of gas while
+ * estimating, is halved until every part fits; single epochs use claim()
+ * instead of claimBatch()
+ * @param {string} address - Claimer (estimation runs from this account)
+ * @param {number[]} epochs - Epochs to claim
+ * @returns {Promise<Array<{epochs: number[], gasLimit: bigint}>>} Transactions to send, in order
+ * @throws If an estimate fails for any other reason (a revert such as
+ *   ClaimExpired, or an RPC error) - splitting would not help
+ */
+export async function planClaimBatches(address, epochs) {
+  const miner = getContractClient('miner');
+
+  const plan = async (part) => {
+    if (part.length === 1) {
+      const { gasLimit } = await miner.estimateGas('claim', [part[0]], { from: address });
+      return [{ epochs: part, gasLimit }];
+    }
+
+    let estimate = null;
+    try {
+      estimate = await miner.estimateGas('claimBatch', [part], { from: address });
+    } catch (error) {
+      // A decoded revert (ClaimExpired, AlreadyClaimed...) fails every split the same way
+      if (decodeContractError(error) || !isOutOfGas(error)) throw error;
+      logger.debug('[GAS] Claim batch ran out of gas while estimating, splitting', { epochs: part.length });
+    }
+    if (estimate?.fits) return [{ epochs: part, gasLimit: estimate.gasLimit }];
+
+    const mid = Math.ceil(part.length / 2);
+    if (estimate) logger.debug('[GAS] Splitting claim batch', { epochs: part.length, gasLimit: estimate.gasLimit.toString() });
+    return [...await plan(part.slice(0, mid)), ...await plan(part.slice(mid))];
+  };
+
+  return plan(epochs);
+}
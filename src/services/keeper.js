@@ -0,0 +1,196 @@
+/**
+ * Keeper Service
+ * Discover auto-miners that are due this epoch and estimate keeper tips,
+ * and find other users' matured mines to finalize for the keeper fee
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { getProvider, getUserDashboard, getLogScanStart } from './contracts';
+import { getContractClient } from './contractClient';
+import { getPendingMines, getPendingMineRequests, planFinalize } from './mining';
+import logger from '../utils/logger';
+
+/**
+ * Resolve a scan range; without an explicit start it begins at the deploy
+ * block, or the lookback window (partial) when the manifest has none
+ * @param {number} [fromBlock]
+ * @param {number} [toBlock]
+ * @returns {Promise<{fromBlock: number, toBlock: number, partial: boolean}>}
+ */
+async function scanRange(fromBlock, toBlock) {
+  const head = toBlock ?? await getProvider().getBlockNumber();
+  if (fromBlock !== undefined) return { fromBlock, toBlock: head, partial: false };
+  return { ...getLogScanStart(head), toBlock: head };
+}
+
+/**
+ * Get every address that has registered with the AutoMinerRegistry
+ * @param {number} [fromBlock] - First block to scan (defaults to the deploy block)
+ * @param {number} [toBlock] - Last block to scan (defaults to the head)
+ * @returns {Promise<{users: string[], partial: boolean}|null>} Unique user addresses
+ *   (checksummed) and whether older registrations may be missing, or null if the scan failed
+ */
+export async function getRegisteredUsers(fromBlock, toBlock) {
+  try {
+    const registry = getContractClient('registry');
+    const range = await scanRange(fromBlock, toBlock);
+    const logs = await registry.queryEvents('Registered', [], range.fromBlock, range.toBlock);
+    return { users: [...new Set(logs.map((log) => log.args.user))], partial: range.partial };
+  } catch (error) {
+    logger.error('getRegisteredUsers failed', error);
+    return null;
+  }
+}
+
+/**
+ * Filter users the registry would mine for in the given epoch
+ * @param {string[]} users - Candidate addresses
+ * @param {number} epoch - Epoch to check (normally the current one)
+ * @returns {Promise<Array<{user: string, totalCost: bigint}>>} Due users with their projected cost
+ */
+export async function getDueUsers(users, epoch) {
+  const registry = getContractClient('registry');
+  const results = await Promise.all(users.map(async (user) => {
+    try {
+      const due = await registry.read('shouldMineThisEpoch', [user, epoch]);
+      if (!due) return null;
+      const { totalCost } = await registry.read('getProjectedCost', [user]);
+      return { user, totalCost };
+    } catch (error) {
+      logger.debug('shouldMineThisEpoch failed for', user, error);
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+/**
+ * Get the keeper tip rate
+ * @returns {Promise<number>} Tip in basis points
+ */
+export async function getKeeperTipBps() {
+  try {
+    const registry = getContractClient('registry');
+    return Number(await registry.read('keeperTipBps'));
+  } catch (error) {
+    logger.error('getKeeperTipBps failed', error);
+    return 0;
+  }
+}
+
+/**
+ * Estimate the tip earned for mining a set of users
+ * Approximation: tip is keeperTipBps of each user's projected mine cost
+ * @param {Array<{totalCost: bigint}>} dueUsers - Output of getDueUsers()
+ * @param {number} tipBps - Keeper tip in basis points
+ * @returns {bigint} Estimated tip in wei
+ */
+export function estimateKeeperTip(dueUsers, tipBps) {
+  const totalCost = dueUsers.reduce((sum, { totalCost }) => sum + totalCost, 0n);
+  return (totalCost * BigInt(tipBps)) / 10000n;
+}
+
+/**
+ * Sum the tips a keeper has been paid
+ * @param {string} keeper - Keeper address
+ * @param {number} [fromBlock] - First block to scan (defaults to the deploy block)
+ * @returns {Promise<{total: bigint, count: number, partial: boolean}|null>} Null if the scan failed
+ */
+export async function getKeeperTipsEarned(keeper, fromBlock) {
+  try {
+    const registry = getContractClient('registry');
+    const range = await scanRange(fromBlock);
+    const logs = await registry.queryEvents('KeeperTipPaid', [keeper], range.fromBlock, range.toBlock);
+    const total = logs.reduce((sum, log) => sum + log.args.amount, 0n);
+    return { total, count: logs.length, partial: range.partial };
+  } catch (error) {
+    logger.error('getKeeperTipsEarned failed', error);
+    return null;
+  }
+}
+
+/**
+ * Get the miner's fee for finalizing someone else's mines
+ * @returns {Promise<number>} Fee in basis points of the finalized deposits
+ */
+export async function getKeeperFeeBps() {
+  try {
+    const miner = getContractClient('miner');
+    return Number(await miner.read('KEEPER_FEE_BPS'));
+  } catch (error) {
+    logger.error('getKeeperFeeBps failed', error);
+    return 0;
+  }
+}
+
+/**
+ * Find users with unfinalized mine requests
+ * Candidates are MineRequested logs without a matching MineFinalized; the
+ * on-chain pending count is then checked since old requests may predate the scan
+ * @param {number} [fromBlock] - First block to scan (defaults to the deploy block)
+ * @returns {Promise<{users: Array<{user: string, pending: number}>, partial: boolean}|null>}
+ *   Most pending first, and whether older requests may be missing; null if the scan failed
+ */
+export async function getUsersWithPendingMines(fromBlock) {
+  try {
+    const miner = getContractClient('miner');
+    const range = await scanRange(fromBlock);
+    const [requested, finalized] = await Promise.all([
+      miner.queryEvents('MineRequested', [], range.fromBlock, range.toBlock),
+      miner.queryEvents('MineFinalized', [], range.fromBlock, range.toBlock),
+    ]);
+
+    const done = new Set(finalized.map((log) => `${log.args.user}:${log.args.requestId}`));
+    const candidates = [...new Set(
+      requested
+        .filter((log) => !done.has(`${log.args.user}:${log.args.requestId}`))
+        .map((log) => log.args.user)
+    )];
+
+    const results = await Promise.all(candidates.map(async (user) => ({
+      user,
+      pending: await getPendingMines(user),
+    })));
+    return {
+      users: results.filter((r) => r.pending > 0).sort((a, b) => b.pending - a.pending),
+      partial: range.partial,
+    };
+  } catch (error) {
+    logger.error('getUsersWithPendingMines failed', error);
+    return null;
+  }
+}
+
+/**
+ * Quote finalizing a user's mines right now
+ * Uses the same maturity/cap plan as the user's own finalize, against their cap
+ * @param {string} user - User whose mines would be finalized
+ * @param {number} feeBps - Keeper fee in basis points
+ * @returns {Promise<Object|null>} { user, pending, readyCount, deposit, fee } (wei bigints) or null on error
+ */
+export async function getFinalizeQuote(user, feeBps) {
+  try {
+    const [details, dashboard, currentBlock] = await Promise.all([
+      getPendingMineRequests(user),
+      getUserDashboard(user),
+      getProvider().getBlockNumber(),
+    ]);
+    if (!details) return null;
+
+    const cap = dashboard?.effectiveCap || dashboard?.hardCap || 0;
+    const available = Math.max(0, cap - (dashboard?.pendingTickets || 0));
+    const { count } = planFinalize(details.requests, currentBlock, available);
+    const deposit = details.requests.slice(0, count).reduce((sum, r) => sum + r.depositWei, 0n);
+
+    return {
+      user,
+      pending: details.total,
+      readyCount: count,
+      deposit,
+      fee: (deposit * BigInt(feeBps)) / 10000n,
+    };
+  } catch (error) {
+    logger.error('getFinalizeQuote failed', error);
+    return null;
+  }
+}
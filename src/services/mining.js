@@ -1,20 +1,15 @@
 /**
  * Mining Service
- * Handle mining transactions and eligibility checks
+ * Mining eligibility, pricing and pending-request reads
+ * (writes are sent by hooks/useMining through the contract client)
  * 
  * SECURITY: Uses production-safe logging and input validation
  */
 import { ethers } from 'ethers';
-import { 
-  getMinerContract, 
-  getMinerContractWrite, 
-  getTokenContract, 
-  getSigner,
-  ensureCorrectNetwork 
-} from './contracts';
+import { getProvider, getUserDashboard } from './contracts';
+import { getContractClient } from './contractClient';
 import logger from '../utils/logger';
-import { sanitizeError } from '../utils/validation';
-import { MINING_LIMITS, CLAIM_LIMITS, TX_SETTINGS, ERROR_MESSAGES } from '../constants/limits';
+import { MINING_LIMITS } from '../constants/limits';
 
 /**
  * Check if address is eligible to mine
@@ -22,9 +17,9 @@ import { MINING_LIMITS, CLAIM_LIMITS, TX_SETTINGS, ERROR_MESSAGES } from '../con
  * @returns {Promise<boolean>}
  */
 export async function checkMiningEligibility(address) {
-  const token = getTokenContract();
+  const token = getContractClient('token');
   try {
-    return await token.canMine(address);
+    return await token.read('canMine', [address]);
   } catch (error) {
     logger.error('Failed to check mining eligibility', error);
     return false;
@@ -52,9 +47,9 @@ export async function getMiningStatus() {
  * @returns {Promise<bigint>}
  */
 export async function getTicketPrice() {
-  const miner = getMinerContract();
+  const miner = getContractClient('miner');
   try {
-    return await miner.unitWei();
+    return await miner.read('unitWei');
   } catch (error) {
     logger.error('Failed to get ticket price', error);
     throw error;
@@ -67,161 +62,138 @@ export async function getTicketPrice() {
  * @returns {Promise<{ticketCount: bigint, cost: bigint, unitWei: bigint}>}
  */
 export async function calculateCost(ticketCount) {
-  const miner = getMinerContract();
-  const unitWei = await miner.unitWei();
+  const miner = getContractClient('miner');
+  const unitWei = await miner.read('unitWei');
   const cost = ticketCount * unitWei;
   return { ticketCount, cost, unitWei };
 }
 
 /**
- * Execute mining transaction
- * @param {bigint} ticketCount - Number of tickets
- * @param {string} expectedAddress - Optional address to verify
- * @returns {Promise<Object>} Transaction object
+ * Get pending mine count for user
+ * @param {string} address - User wallet address
+ * @returns {Promise<number>} Number of pending mines
  */
-export async function mine(ticketCount, expectedAddress) {
-  logger.tx('mine:start', { tickets: ticketCount.toString() });
-  
-  // Validate ticket count
-  if (ticketCount <= 0n) {
-    throw new Error(ERROR_MESSAGES.INVALID_AMOUNT);
-  }
-  
-  if (ticketCount > MINING_LIMITS.MAX_TICKETS) {
-    throw new Error(ERROR_MESSAGES.AMOUNT_TOO_HIGH);
-  }
-  
-  // Ensure correct network
-  await ensureCorrectNetwork();
-  
-  // Get signer
-  const signer = await getSigner();
-  if (!signer) {
-    throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
-  }
-  
-  const signerAddress = await signer.getAddress();
-  
-  // Verify address if provided
-  if (expectedAddress) {
-    if (signerAddress.toLowerCase() !== expectedAddress.toLowerCase()) {
-      throw new Error('Wallet address mismatch');
-    }
-  }
-  
-  // Check eligibility
-  const canMine = await checkMiningEligibility(signerAddress);
-  if (!canMine) {
-    throw new Error(ERROR_MESSAGES.NOT_ELIGIBLE);
-  }
-  
-  // Check mining status
-  const { paused, seeded } = await getMiningStatus();
-  if (paused) throw new Error(ERROR_MESSAGES.MINING_PAUSED);
-  if (!seeded) throw new Error(ERROR_MESSAGES.CONTRACT_NOT_READY);
-  
-  // Calculate cost
-  const { cost } = await calculateCost(ticketCount);
-  
-  // Validate cost is within limits
-  if (cost > MINING_LIMITS.MAX_WEI) {
-    throw new Error(ERROR_MESSAGES.AMOUNT_TOO_HIGH);
-  }
-  
-  logger.tx('mine:cost', { cost: ethers.formatEther(cost) });
-  
-  // Get miner contract with signer
-  const minerWrite = await getMinerContractWrite();
-  if (!minerWrite) throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
-  
+export async function getPendingMines(address) {
+  const miner = getContractClient('miner');
   try {
-    const tx = await minerWrite.requestMine(ticketCount, { value: cost });
-    logger.tx('mine:sent', { hash: tx.hash.slice(0, 10) });
-    return tx;
+    const [requested, claimed] = await Promise.all([
+      miner.read('userRequestCount', [address]),
+      miner.read('userClaimedCount', [address]),
+    ]);
+    return Number(requested) - Number(claimed);
   } catch (error) {
-    logger.error('Mine failed', error);
-    throw new Error(sanitizeError(error));
+    logger.error('Failed to get pending mines', error);
+    return 0;
   }
 }
 
 /**
- * Claim rewards for specific epochs
- * @param {number[]} epochs - Array of epoch numbers to claim
- * @returns {Promise<Object>} Transaction object
+ * Get every outstanding (unfinalized) mine request for a user
+ * Requests finalize in order, starting at userClaimedCount; each one can be
+ * finalized once MIN_FINALIZE_DELAY blocks have passed since it was made
+ * @param {string} address - User wallet address
+ * @returns {Promise<Object|null>} { currentBlock, minFinalizeDelay, total, requests } or null on error
  */
-export async function claimBatch(epochs) {
-  logger.tx('claim:start', { epochCount: epochs.length });
-  
-  await ensureCorrectNetwork();
-  
-  const minerWrite = await getMinerContractWrite();
-  if (!minerWrite) throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
-  
-  if (epochs.length < CLAIM_LIMITS.MIN_EPOCHS) {
-    throw new Error('No epochs to claim');
-  }
-  if (epochs.length > CLAIM_LIMITS.MAX_EPOCHS) {
-    throw new Error(`Too many epochs (max ${CLAIM_LIMITS.MAX_EPOCHS})`);
-  }
-  
+export async function getPendingMineRequests(address) {
+  const miner = getContractClient('miner');
   try {
-    let tx;
-    if (epochs.length === 1) {
-      tx = await minerWrite.claim(epochs[0], { gasLimit: TX_SETTINGS.SINGLE_CLAIM_GAS });
-    } else {
-      const gasLimit = TX_SETTINGS.CLAIM_BASE_GAS + (BigInt(epochs.length) * TX_SETTINGS.CLAIM_GAS_PER_EPOCH);
-      tx = await minerWrite.claimBatch(epochs, { gasLimit });
-    }
-    
-    logger.tx('claim:sent', { hash: tx.hash.slice(0, 10) });
-    return tx;
+    const [requested, claimed, delay, currentBlock] = await Promise.all([
+      miner.read('userRequestCount', [address]),
+      miner.read('userClaimedCount', [address]),
+      miner.read('MIN_FINALIZE_DELAY'),
+      getProvider().getBlockNumber(),
+    ]);
+
+    const first = Number(claimed);
+    const last = Math.min(Number(requested), first + MINING_LIMITS.MAX_INSPECTED_REQUESTS);
+    const indexes = Array.from({ length: Math.max(0, last - first) }, (_, i) => first + i);
+
+    const requests = await Promise.all(indexes.map(async (index) => {
+      const req = await miner.read('userRequests', [address, index]);
+      const readyBlock = Number(req.blockNumber) + Number(delay);
+      return {
+        index,
+        blockNumber: Number(req.blockNumber),
+        readyBlock,
+        depositWei: req.deposit,
+        deposit: ethers.formatEther(req.deposit),
+        ticketCount: Number(req.ticketCount),
+        strictTickets: req.strictTickets,
+        finalized: req.finalized,
+        payer: req.payer,
+        isSelfPaid: req.payer.toLowerCase() === address.toLowerCase(),
+      };
+    }));
+
+    return {
+      currentBlock,
+      minFinalizeDelay: Number(delay),
+      total: Number(requested) - first,
+      requests: requests.filter((r) => !r.finalized),
+    };
   } catch (error) {
-    logger.error('Claim failed', error);
-    throw new Error(sanitizeError(error));
+    logger.error('Failed to get pending mine requests', error);
+    return null;
   }
 }
 
+
 /**
- * Finalize pending mine requests
- * CRITICAL: Must be called after requestMine for tickets to be credited
- * @param {number} count - Number of mines to finalize
- * @returns {Promise<Object>} Transaction object
+ * Check whether tickets can be gifted to an address this epoch
+ * The recipient must pass canMine, and the gift counts against their own
+ * effective cap (tickets already credited plus requests still queued)
+ * @param {string} recipient - Address receiving the tickets
+ * @returns {Promise<Object|null>} { canMine, effectiveCap, usedTickets, queuedTickets, remainingCap } or null on error
  */
-export async function finalizeMines(count = 10) {
-  logger.tx('finalize:start', { count });
-  
-  await ensureCorrectNetwork();
-  
-  const minerWrite = await getMinerContractWrite();
-  if (!minerWrite) throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
-  
+export async function getGiftRecipientStatus(recipient) {
+  const miner = getContractClient('miner');
   try {
-    const gasLimit = TX_SETTINGS.FINALIZE_BASE_GAS + (BigInt(count) * TX_SETTINGS.FINALIZE_GAS_PER_MINE);
-    const tx = await minerWrite.finalizeMines(count, { gasLimit });
-    logger.tx('finalize:sent', { hash: tx.hash.slice(0, 10), gasLimit: gasLimit.toString() });
-    return tx;
+    const [canMine, effectiveCap, dashboard, pending] = await Promise.all([
+      checkMiningEligibility(recipient),
+      miner.read('getEffectiveCap', [recipient]),
+      getUserDashboard(recipient),
+      getPendingMineRequests(recipient),
+    ]);
+
+    const usedTickets = dashboard?.pendingTickets || 0;
+    const queuedTickets = (pending?.requests || []).reduce((sum, r) => sum + r.ticketCount, 0);
+    return {
+      canMine,
+      effectiveCap: Number(effectiveCap),
+      usedTickets,
+      queuedTickets,
+      remainingCap: Math.max(0, Number(effectiveCap) - usedTickets - queuedTickets),
+    };
   } catch (error) {
-    logger.error('Finalize failed', error);
-    throw new Error(sanitizeError(error));
+    logger.error('Failed to check gift recipient', error);
+    return null;
   }
 }
 
 /**
- * Get pending mine count for user
- * @param {string} address - User wallet address
- * @returns {Promise<number>} Number of pending mines
+ * Work out how many pending mines can be finalized right now
+ * Requests finalize strictly in order, so counting stops at the first one
+ * that is still maturing or would not fit the epoch's remaining ticket cap.
+ * Non-strict requests are trimmed to the cap by the contract, so they only
+ * need some room left; strict ones must fit entirely.
+ * @param {Array<Object>} requests - From getPendingMineRequests (oldest first)
+ * @param {number} currentBlock - Latest block number
+ * @param {number} availableTickets - effectiveCap minus tickets already credited this epoch
+ * @returns {{count: number, nextReadyBlock: number|null}} Finalizable count and the block the next request matures
  */
-export async function getPendingMines(address) {
-  const miner = getMinerContract();
-  try {
-    const [requested, claimed] = await Promise.all([
-      miner.userRequestCount(address),
-      miner.userClaimedCount(address),
-    ]);
-    return Number(requested) - Number(claimed);
-  } catch (error) {
-    logger.error('Failed to get pending mines', error);
-    return 0;
+export function planFinalize(requests, currentBlock, availableTickets) {
+  let count = 0;
+  let room = availableTickets;
+
+  for (const req of requests) {
+    if (req.readyBlock > currentBlock) {
+      return { count, nextReadyBlock: req.readyBlock };
+    }
+    const fits = req.strictTickets ? req.ticketCount <= room : room > 0;
+    if (!fits) break;
+    room -= Math.min(req.ticketCount, room);
+    count++;
   }
-}
 
+  return { count, nextReadyBlock: null };
+}
@@ -0,0 +1,305 @@
+/**
+ * RPC Pool
+ * One health-checked list of RPC endpoints shared by the ethers provider
+ * (services/contracts) and the wagmi transport (config/wagmi).
+ *
+ * - Every endpoint is probed for latency and head block; chain id is
+ *   verified once, and only verified endpoints carry traffic (requests wait
+ *   for the first probe), so a wrong-chain endpoint is never used
+ * - Endpoints lagging the best head by more than RPC_POOL.MAX_BLOCK_LAG are stale
+ * - Repeated transport failures open a circuit for RPC_POOL.COOLDOWN_MS
+ * - Requests go to the best endpoint by status, the active one first among
+ *   equals, and fall through to the next on failure; the active endpoint
+ *   rotates when it goes bad
+ *
+ * JSON-RPC error responses (reverts etc.) are passed through untouched and
+ * never count against an endpoint. When no endpoint can be reached the error
+ * carries ethers' NETWORK_ERROR code, so callers can tell the two apart.
+ *
+ * SECURITY: Uses production-safe logging; endpoint URLs are reduced to their
+ * host before display (they may embed API keys)
+ */
+import { CONFIG } from '../constants';
+import { RPC_POOL } from '../constants/limits';
+import logger from '../utils/logger';
+
+// Active network profile's endpoints, configured RPC first (config/networks)
+const DEFAULT_ENDPOINTS = CONFIG.rpcUrls;
+
+const createEndpoint = (url) => ({
+  url,
+  // 'unknown' | 'healthy' | 'stale' | 'down' | 'wrong-chain'
+  status: 'unknown',
+  latencyMs: null,
+  blockNumber: null,
+  failures: 0,
+  openUntil: 0,
+  chainVerified: false,
+  lastError: null,
+});
+
+let endpoints = [...new Set(DEFAULT_ENDPOINTS.filter(Boolean))].map(createEndpoint);
+// A custom chain without VITE_RPC_URL has no endpoints until one is pinned (e.g. the keeper's KEEPER_RPC_URL)
+let activeUrl = endpoints[0]?.url ?? null;
+if (!activeUrl) {
+  logger.error(`[RPC] No RPC endpoint configured for chain ${CONFIG.chainId} (set VITE_RPC_URL_${CONFIG.chainId})`);
+}
+let probeTimer = null;
+let firstProbe = null;
+let probing = null;
+let requestId = 0;
+
+const listeners = new Set();
+let state = null;
+
+function emit() {
+  state = null;
+  listeners.forEach((listener) => listener());
+}
+
+function setEndpoint(url, changes) {
+  endpoints = endpoints.map((ep) => (ep.url === url ? { ...ep, ...changes } : ep));
+}
+
+/**
+ * Endpoint host for display (paths and API keys stripped)
+ * @param {string} url
+ * @returns {string}
+ */
+export function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'custom endpoint';
+  }
+}
+
+/**
+ * Endpoints to try, best first: by status, then the active one, then latency
+ * Only chain-verified endpoints qualify. Open circuits are skipped; if that
+ * leaves nothing, every verified endpoint is tried anyway
+ */
+function candidates() {
+  const now = Date.now();
+  const rank = { healthy: 0, unknown: 1, stale: 2, down: 3 };
+  const verified = endpoints.filter((ep) => ep.chainVerified && ep.status !== 'wrong-chain');
+  const usable = verified
+    .filter((ep) => ep.openUntil <= now)
+    .sort((a, b) =>
+      rank[a.status] - rank[b.status]
+      || (a.url === activeUrl ? -1 : 0) - (b.url === activeUrl ? -1 : 0)
+      || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+
+  if (usable.length > 0) return usable.map((ep) => ep.url);
+  return verified.map((ep) => ep.url);
+}
+
+function activate(url, reason) {
+  if (url === activeUrl) return;
+  logger.debug('[RPC] Switching endpoint', { to: describeEndpoint(url), reason });
+  activeUrl = url;
+}
+
+// Pick the fastest healthy endpoint; only leave a healthy active one for a clearly faster peer
+function selectActive() {
+  const healthy = endpoints
+    .filter((ep) => ep.status === 'healthy' && ep.openUntil <= Date.now())
+    .sort((a, b) => a.latencyMs - b.latencyMs);
+  if (healthy.length === 0) return;
+
+  const active = endpoints.find((ep) => ep.url === activeUrl);
+  const best = healthy[0];
+  if (active?.status !== 'healthy') {
+    activate(best.url, active?.status || 'removed');
+  } else if (best.latencyMs + RPC_POOL.SWITCH_LATENCY_MS < active.latencyMs) {
+    activate(best.url, 'faster');
+  }
+}
+
+function reportFailure(url, error) {
+  const ep = endpoints.find((e) => e.url === url);
+  if (!ep) return;
+  const failures = ep.failures + 1;
+  const tripped = failures >= RPC_POOL.FAILURE_THRESHOLD;
+  setEndpoint(url, {
+    failures,
+    lastError: error?.message || String(error),
+    ...(tripped ? { status: 'down', openUntil: Date.now() + RPC_POOL.COOLDOWN_MS } : {}),
+  });
+  if (tripped && url === activeUrl) {
+    const next = candidates().find((u) => u !== url);
+    if (next) activate(next, 'circuit open');
+  }
+  emit();
+}
+
+function reportSuccess(url) {
+  const ep = endpoints.find((e) => e.url === url);
+  if (!ep || (ep.failures === 0 && ep.status !== 'down')) return;
+  setEndpoint(url, { failures: 0, ...(ep.status === 'down' ? { status: 'unknown' } : {}) });
+  emit();
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(RPC_POOL.REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`RPC HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function probeEndpoint(ep) {
+  const call = async (method) => {
+    const body = await postJson(ep.url, { jsonrpc: '2.0', id: ++requestId, method, params: [] });
+    if (body.error) throw new Error(body.error.message || `${method} failed`);
+    return Number(body.result);
+  };
+
+  const started = Date.now();
+  try {
+    const [chainId, blockNumber] = await Promise.all([
+      ep.chainVerified ? CONFIG.chainId : call('eth_chainId'),
+      call('eth_blockNumber'),
+    ]);
+    if (chainId !== CONFIG.chainId) {
+      logger.error('[RPC] Endpoint is on the wrong chain', { endpoint: describeEndpoint(ep.url), chainId });
+      setEndpoint(ep.url, { status: 'wrong-chain', lastError: `Chain ${chainId}, expected ${CONFIG.chainId}` });
+      return;
+    }
+    setEndpoint(ep.url, { chainVerified: true, latencyMs: Date.now() - started, blockNumber });
+  } catch (error) {
+    setEndpoint(ep.url, { status: 'down', latencyMs: null, lastError: error.message });
+  }
+}
+
+/**
+ * Probe every endpoint, classify it, and re-pick the active one
+ */
+async function runProbes() {
+  await Promise.all(endpoints.filter((ep) => ep.status !== 'wrong-chain').map(probeEndpoint));
+
+  const bestHead = Math.max(0, ...endpoints.map((ep) => ep.blockNumber ?? 0));
+  const now = Date.now();
+  endpoints = endpoints.map((ep) => {
+    if (ep.status === 'wrong-chain' || ep.latencyMs == null) return ep;
+    // A fresh successful probe closes the circuit early
+    const status = bestHead - ep.blockNumber > RPC_POOL.MAX_BLOCK_LAG ? 'stale' : 'healthy';
+    return { ...ep, status, failures: 0, openUntil: status === 'healthy' ? 0 : ep.openUntil, lastChecked: now };
+  });
+
+  selectActive();
+  emit();
+}
+
+// Concurrent callers share one probe round
+function probeAll() {
+  if (!probing) probing = runProbes().finally(() => { probing = null; });
+  return probing;
+}
+
+/**
+ * Start periodic probing (idempotent; first probe runs immediately)
+ * @returns {Promise<void>} Resolves once the first probe round is done
+ */
+export function startRpcHealthChecks() {
+  if (probeTimer) return firstProbe;
+  firstProbe = probeAll();
+  probeTimer = setInterval(probeAll, RPC_POOL.PROBE_INTERVAL_MS);
+  // Don't keep a Node process (headless keeper) alive just for probes
+  probeTimer.unref?.();
+  return firstProbe;
+}
+
+// Every endpoint failed (or none is configured)
+const transportError = (message, cause) => Object.assign(new Error(message), { code: 'NETWORK_ERROR', cause });
+
+/**
+ * Send a raw JSON-RPC payload (single or batch) with failover
+ * @param {Object|Array<Object>} payload
+ * @returns {Promise<Object|Array<Object>>} Raw JSON-RPC response body
+ */
+export async function sendRpcPayload(payload) {
+  if (endpoints.length === 0) {
+    throw transportError(`No RPC endpoint configured for chain ${CONFIG.chainId}`);
+  }
+  // Nothing is sent before an endpoint's chain id has been checked
+  await startRpcHealthChecks();
+  let urls = candidates();
+  if (urls.length === 0) {
+    // Every probe failed so far (or the pool was just pinned) - try once more now
+    await probeAll();
+    urls = candidates();
+  }
+
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      const body = await postJson(url, payload);
+      reportSuccess(url);
+      return body;
+    } catch (error) {
+      logger.debug('[RPC] Request failed', { endpoint: describeEndpoint(url), error: error.message });
+      lastError = error;
+      reportFailure(url, error);
+    }
+  }
+  throw transportError(lastError?.message || 'No RPC endpoint available', lastError);
+}
+
+/**
+ * EIP-1193 style request (used by the wagmi transport)
+ * JSON-RPC errors are thrown with their code and data so reverts still decode
+ * @param {string} method
+ * @param {Array} [params]
+ * @returns {Promise<*>} Result
+ */
+export async function rpcRequest(method, params = []) {
+  const body = await sendRpcPayload({ jsonrpc: '2.0', id: ++requestId, method, params });
+  if (body.error) {
+    throw Object.assign(new Error(body.error.message), { code: body.error.code, data: body.error.data });
+  }
+  return body.result;
+}
+
+/**
+ * Use only this endpoint (e.g. the keeper against a local Anvil/Hardhat fork)
+ * @param {string} url
+ */
+export function pinRpcEndpoint(url) {
+  endpoints = [createEndpoint(url)];
+  activeUrl = url;
+  logger.debug('RPC endpoint pinned:', describeEndpoint(url));
+  emit();
+}
+
+/**
+ * Active endpoint URL
+ * @returns {string|null} Null when no endpoint is configured
+ */
+export function getActiveRpcUrl() {
+  return activeUrl;
+}
+
+/**
+ * Subscribe to pool changes (useSyncExternalStore contract)
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRpcPool(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Pool state for display (stable reference between changes)
+ * @returns {{activeUrl: string|null, endpoints: Array<Object>}}
+ */
+export function getRpcPoolState() {
+  if (!state) state = { activeUrl, endpoints };
+  return state;
+}
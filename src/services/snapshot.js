@@ -0,0 +1,102 @@
+/**
+ * Dashboard Snapshot
+ * Every read behind the main screen (dashboard, claimable epochs, ticket
+ * price, pending mines, bonus overview) in ONE Multicall3 eth_call, so all
+ * numbers come from the same block and public RPC rate limits are spared.
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { formatUserDashboard, formatClaimableEpochs } from './contracts';
+import { getContractClient, aggregate } from './contractClient';
+import { CONFIG } from '../constants';
+import logger from '../utils/logger';
+
+// Same window as getClaimableEpochsBatch()
+const CLAIMABLE_SCAN_EPOCHS = 100;
+// Waiting for a lagging node to reach a required block
+const MIN_BLOCK_RETRIES = 5;
+const MIN_BLOCK_RETRY_MS = 1000;
+
+// Epoch seen by the previous snapshot - lets ethBank(epoch) ride in the same
+// batch. On the first load or an epoch rollover it is read separately,
+// pinned to the snapshot's block.
+let lastEpoch = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function loadOnce(address) {
+  const miner = getContractClient('miner');
+  const token = getContractClient('token');
+  const epochGuess = lastEpoch;
+
+  const r = await aggregate([
+    { key: 'blockNumber', contract: getContractClient('multicall'), method: 'getBlockNumber' },
+    { key: 'dashboard', contract: miner, method: 'getUserDashboard', args: [address] },
+    { key: 'hardCap', contract: miner, method: 'hardCap' },
+    { key: 'claimable', contract: miner, method: 'getClaimableEpochsBatch', args: [address, CLAIMABLE_SCAN_EPOCHS] },
+    { key: 'rewardPool', contract: miner, method: 'rewardTokenPool' },
+    { key: 'poolBalance', contract: token, method: 'balanceOf', args: [CONFIG.minerAddress] },
+    { key: 'unitWei', contract: miner, method: 'unitWei' },
+    { key: 'requested', contract: miner, method: 'userRequestCount', args: [address] },
+    { key: 'finalized', contract: miner, method: 'userClaimedCount', args: [address] },
+    {
+      key: 'bonusOverview',
+      contract: getContractClient('lens'),
+      method: 'getBonusOverview',
+      args: [CONFIG.minerAddress, CONFIG.tokenAddress, address],
+    },
+    ...(epochGuess != null ? [{ key: 'ethBank', contract: miner, method: 'ethBank', args: [epochGuess] }] : []),
+  ]);
+
+  const blockNumber = Number(r.blockNumber);
+
+  let dashboard = null;
+  if (r.dashboard) {
+    const epoch = Number(r.dashboard.currentEpoch);
+    let ethBank = r.ethBank;
+    if (epoch !== epochGuess || ethBank == null) {
+      ethBank = await miner.read('ethBank', [epoch], { blockTag: blockNumber }).catch((e) => {
+        logger.debug('Could not fetch ethBank', e);
+        return 0n;
+      });
+    }
+    lastEpoch = epoch;
+    dashboard = formatUserDashboard(r.dashboard, ethBank, r.hardCap ?? 0n);
+  }
+
+  const claimable = r.claimable && r.rewardPool != null && r.poolBalance != null
+    ? formatClaimableEpochs(r.claimable, r.rewardPool, r.poolBalance)
+    : null;
+
+  return {
+    blockNumber,
+    dashboard,
+    claimable,
+    ticketPrice: r.unitWei,
+    pendingMines: r.requested != null && r.finalized != null ? Number(r.requested) - Number(r.finalized) : null,
+    bonusOverview: r.bonusOverview,
+  };
+}
+
+/**
+ * Load the dashboard snapshot for a user
+ * @param {string} address - User wallet address
+ * @param {Object} [options]
+ * @param {number} [options.minBlock] - Block the data must include (e.g. a
+ *   just-confirmed receipt); retried briefly while the node catches up
+ * @returns {Promise<Object|null>} { blockNumber, dashboard, claimable, ticketPrice, pendingMines, bonusOverview } or null on error
+ */
+export async function loadDashboardSnapshot(address, { minBlock = 0 } = {}) {
+  try {
+    let snapshot = await loadOnce(address);
+    for (let i = 0; i < MIN_BLOCK_RETRIES && snapshot.blockNumber < minBlock; i++) {
+      logger.debug('[SNAPSHOT] Node behind required block, retrying', { at: snapshot.blockNumber, minBlock });
+      await sleep(MIN_BLOCK_RETRY_MS);
+      snapshot = await loadOnce(address);
+    }
+    return snapshot;
+  } catch (error) {
+    logger.error('loadDashboardSnapshot failed', error);
+    return null;
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * Transaction Tracker
+ * Persisted queue of submitted transactions. Each one is watched until its
+ * receipt arrives, then the miner events it emitted are decoded so the UI
+ * can update from what actually happened on chain.
+ *
+ * A transaction still unmined after RECEIPT_TIMEOUT_MS is flagged stuck but
+ * stays pending and watched; it can be sped up or cancelled (replace-by-fee
+ * at the same nonce). Replacements are detected by nonce, so one made from
+ * the wallet's own UI settles the entry too.
+ *
+ * RPC errors while watching are not the transaction's fault: the entry stays
+ * pending and is watched again with backoff.
+ *
+ * Survives reloads: pending entries are resumed by resumePendingTransactions(),
+ * and ones given up on as dropped are looked up again by receipt.
+ * Consumed from React through hooks/useTransactions.
+ *
+ * SECURITY: Uses production-safe logging
+ */
+import { ethers } from 'ethers';
+import { getProvider, getSigner, ensureCorrectNetwork } from './contracts';
+import { getContractClient } from './contractClient';
+import { CONFIG } from '../constants';
+import { TX_SETTINGS, ERROR_MESSAGES } from '../constants/limits';
+import logger from '../utils/logger';
+
+const STORAGE_KEY = `nara_tx_${CONFIG.chainId}_${CONFIG.minerAddress.toLowerCase()}`;
+const MAX_ENTRIES = 25;
+// Unmined after this long: callers stop waiting and the entry is flagged stuck
+const RECEIPT_TIMEOUT_MS = 10 * 60 * 1000;
+// A freshly sent tx can take a moment to reach the read RPC
+const LOOKUP_RETRIES = 10;
+const LOOKUP_INTERVAL_MS = 2000;
+// Backoff for re-watching after an RPC error
+const RETRY_BASE_MS = 15 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Miner events worth surfacing in the UI
+const TRACKED_EVENTS = new Set([
+  'MineRequested',
+  'Ticket',
+  'MineFinalized',
+  'Claimed',
+  'BatchClaimed',
+  'JackpotWon',
+  'RefundCredited',
+  'RefundWithdrawn',
+]);
+
+const load = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch { return []; }
+};
+
+let transactions = load();
+const listeners = new Set();
+const watching = new Map();
+const retries = new Map();
+const stuckTimers = new Map();
+
+function save() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+  } catch { /* storage full or unavailable - tracking continues in memory */ }
+}
+
+function update(hash, changes) {
+  transactions = transactions.map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx));
+  save();
+  listeners.forEach((listener) => listener());
+}
+
+// BigInts and arrays of BigInts are stored as strings (JSON-safe)
+const toPlain = (value) => (Array.isArray(value) ? value.map(toPlain) : String(value));
+
+/**
+ * Decode tracked miner events from a receipt
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {Array<{name: string, args: Object}>}
+ */
+function decodeEvents(receipt) {
+  return getContractClient('miner')
+    .decodeLogs(receipt.logs, [...TRACKED_EVENTS])
+    .map((parsed) => ({
+      name: parsed.name,
+      args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, toPlain(parsed.args[i])])),
+    }));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// What a replacement needs (and what ethers needs to spot one), JSON-safe
+function snapshotOf(response, startBlock) {
+  return {
+    from: response.from,
+    to: response.to,
+    nonce: response.nonce,
+    data: response.data,
+    value: response.value.toString(),
+    gasLimit: response.gasLimit.toString(),
+    gasPrice: response.gasPrice?.toString() ?? null,
+    maxFeePerGas: response.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: response.maxPriorityFeePerGas?.toString() ?? null,
+    startBlock,
+  };
+}
+
+/**
+ * Load the sent transaction, falling back to the stored snapshot once the
+ * node has forgotten it (e.g. replaced while the page was closed)
+ */
+async function getResponse(entry) {
+  const provider = getProvider();
+  for (let i = 0; i < LOOKUP_RETRIES; i++) {
+    const response = await provider.getTransaction(entry.hash);
+    if (response) return response;
+    if (entry.tx) break;
+    await sleep(LOOKUP_INTERVAL_MS);
+  }
+  if (!entry.tx) return null;
+  return new ethers.TransactionResponse({
+    ...entry.tx,
+    hash: entry.hash,
+    value: BigInt(entry.tx.value),
+    gasLimit: BigInt(entry.tx.gasLimit),
+  }, provider);
+}
+
+function settleFromReceipt(hash, receipt, changes = {}) {
+  update(hash, {
+    status: receipt.status === 1 ? 'confirmed' : 'failed',
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    events: decodeEvents(receipt),
+    confirmedAt: Date.now(),
+    ...changes,
+  });
+}
+
+async function waitForSettlement(hash) {
+  const entry = transactions.find((tx) => tx.hash === hash);
+  const response = await getResponse(entry);
+
+  // Never seen by the node and nothing stored - plain receipt wait
+  if (!response) {
+    try {
+      const receipt = await getProvider().waitForTransaction(hash, 1, RECEIPT_TIMEOUT_MS);
+      if (receipt) settleFromReceipt(hash, receipt);
+      else update(hash, { status: 'dropped' });
+    } catch (error) {
+      if (!ethers.isError(error, 'TIMEOUT')) throw error;
+      update(hash, { status: 'dropped' });
+    }
+    return;
+  }
+
+  let startBlock = entry.tx?.startBlock;
+  if (!entry.tx) {
+    startBlock = await getProvider().getBlockNumber();
+    update(hash, { tx: snapshotOf(response, startBlock) });
+  }
+
+  // No timeout: a stuck tx stays pending (and replaceable) until it or a replacement is mined
+  try {
+    const receipt = await response.replaceableTransaction(startBlock).wait(1);
+    settleFromReceipt(hash, receipt);
+  } catch (error) {
+    if (ethers.isError(error, 'TRANSACTION_REPLACED')) {
+      // repriced = same call with higher fees (speed-up), so it still counts
+      logger.tx('tracker:replaced', { hash: hash.slice(0, 10), reason: error.reason });
+      settleFromReceipt(hash, error.receipt, {
+        replacedBy: error.hash,
+        ...(error.reason === 'repriced' ? {} : { status: error.reason === 'cancelled' ? 'cancelled' : 'replaced' }),
+      });
+    } else if (ethers.isError(error, 'CALL_EXCEPTION') && error.receipt) {
+      settleFromReceipt(hash, error.receipt);
+    } else {
+      throw error;
+    }
+  }
+}
+
+function watch(hash) {
+  if (watching.has(hash)) return watching.get(hash);
+
+  const promise = waitForSettlement(hash)
+    .then(() => retries.delete(hash))
+    .catch((error) => {
+      // Most likely the RPC, not the transaction - keep it pending and look again
+      const attempt = (retries.get(hash) || 0) + 1;
+      retries.set(hash, attempt);
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+      logger.error(`Transaction watch failed, retrying in ${delay / 1000}s`, error);
+      setTimeout(() => {
+        if (transactions.find((tx) => tx.hash === hash)?.status === 'pending') watch(hash);
+      }, delay);
+    })
+    .then(() => {
+      watching.delete(hash);
+      return transactions.find((tx) => tx.hash === hash);
+    });
+
+  watching.set(hash, promise);
+  return promise;
+}
+
+/**
+ * Flag a pending entry as stuck once RECEIPT_TIMEOUT_MS has passed since
+ * the last send (original or replacement)
+ * @param {string} hash
+ * @param {number} sentAt - Timestamp of the last send
+ */
+function scheduleStuckCheck(hash, sentAt) {
+  clearTimeout(stuckTimers.get(hash));
+  stuckTimers.set(hash, setTimeout(() => {
+    stuckTimers.delete(hash);
+    if (transactions.find((tx) => tx.hash === hash)?.status === 'pending') {
+      logger.tx('tracker:stuck', { hash: hash.slice(0, 10) });
+      update(hash, { stuck: true });
+    }
+  }, Math.max(0, sentAt + RECEIPT_TIMEOUT_MS - Date.now())));
+}
+
+/**
+ * Start tracking a submitted transaction
+ * @param {string} hash - Transaction hash
+ * @param {Object} meta
+ * @param {string} meta.kind - 'mine' | 'finalize' | 'claim' | 'refund' | 'gift' | 'finalizeFor' | 'automine' | 'vault' | 'keeper'
+ * @param {string} meta.label - Human readable description
+ * @param {string} [meta.from] - Sender
+ * @returns {Promise<Object>} Resolves with the entry once settled (confirmed/failed/cancelled/replaced/dropped),
+ *   or still pending if watching it hit an RPC error or it is unmined after RECEIPT_TIMEOUT_MS
+ *   (it keeps being watched either way)
+ */
+export function trackTransaction(hash, { kind, label, from }) {
+  if (!transactions.some((tx) => tx.hash === hash)) {
+    transactions = [
+      { hash, kind, label, from, status: 'pending', submittedAt: Date.now(), events: [] },
+      ...transactions,
+    ].slice(0, MAX_ENTRIES);
+    save();
+    listeners.forEach((listener) => listener());
+    scheduleStuckCheck(hash, Date.now());
+  }
+  const timeout = sleep(RECEIPT_TIMEOUT_MS).then(() => transactions.find((tx) => tx.hash === hash));
+  return Promise.race([watch(hash), timeout]);
+}
+
+const bump = (wei) => (wei * BigInt(TX_SETTINGS.REPLACEMENT_FEE_BUMP_BPS)) / 10000n;
+const maxBig = (a, b) => (a > b ? a : b);
+
+/**
+ * Resend a pending transaction at the same nonce with higher fees
+ * The original entry's watcher picks up whichever one gets mined; it is
+ * restarted here in case it stopped on an RPC error.
+ */
+async function replace(hash, kind) {
+  const entry = transactions.find((tx) => tx.hash === hash);
+  if (!entry || entry.status !== 'pending' || !entry.tx) {
+    throw new Error(ERROR_MESSAGES.TX_NOT_REPLACEABLE);
+  }
+
+  await ensureCorrectNetwork();
+  const signer = await getSigner();
+  if (!signer) throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+  if ((await signer.getAddress()).toLowerCase() !== entry.tx.from.toLowerCase()) {
+    throw new Error('Wallet address mismatch');
+  }
+
+  // Still unmined? The nonce must not be used yet
+  const nonce = await getProvider().getTransactionCount(entry.tx.from, 'latest');
+  if (nonce > entry.tx.nonce) throw new Error(ERROR_MESSAGES.TX_NOT_REPLACEABLE);
+
+  // Newest fees we sent at this nonce, bumped - or the network rate if higher
+  const last = entry.replacements?.at(-1)?.fees || entry.tx;
+  const feeData = await getProvider().getFeeData();
+  const fees = last.maxFeePerGas
+    ? {
+      maxFeePerGas: maxBig(bump(BigInt(last.maxFeePerGas)), feeData.maxFeePerGas ?? 0n),
+      maxPriorityFeePerGas: maxBig(bump(BigInt(last.maxPriorityFeePerGas)), feeData.maxPriorityFeePerGas ?? 0n),
+    }
+    : { gasPrice: maxBig(bump(BigInt(last.gasPrice)), feeData.gasPrice ?? 0n) };
+
+  const request = kind === 'cancel'
+    ? { to: entry.tx.from, value: 0n, data: '0x', gasLimit: 21000n }
+    : { to: entry.tx.to, value: BigInt(entry.tx.value), data: entry.tx.data, gasLimit: BigInt(entry.tx.gasLimit) };
+
+  logger.tx(`tracker:${kind}`, { hash: hash.slice(0, 10), nonce: entry.tx.nonce });
+  const sent = await signer.sendTransaction({ ...request, ...fees, nonce: entry.tx.nonce });
+
+  const sentAt = Date.now();
+  update(hash, {
+    stuck: false,
+    replacements: [
+      ...(entry.replacements || []),
+      {
+        hash: sent.hash,
+        kind,
+        sentAt,
+        fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()])),
+      },
+    ],
+  });
+  scheduleStuckCheck(hash, sentAt);
+  watch(hash);
+  return sent.hash;
+}
+
+/**
+ * Speed up a pending transaction: same call and nonce, higher fees
+ * @param {string} hash - Original transaction hash
+ * @returns {Promise<string>} Replacement hash
+ */
+export function speedUpTransaction(hash) {
+  return replace(hash, 'speedUp');
+}
+
+/**
+ * Cancel a pending transaction: 0-value self-transfer at the same nonce
+ * @param {string} hash - Original transaction hash
+ * @returns {Promise<string>} Replacement hash
+ */
+export function cancelTransaction(hash) {
+  return replace(hash, 'cancel');
+}
+
+/**
+ * User-facing error for a settled entry that did not go through
+ * @param {Object} tx - Settled tracked transaction
+ * @returns {string|null} Message, or null if it confirmed
+ */
+export function getSettlementError(tx) {
+  switch (tx?.status) {
+    case 'confirmed': return null;
+    case 'failed': return ERROR_MESSAGES.TX_REVERTED;
+    case 'cancelled': return ERROR_MESSAGES.TX_CANCELLED;
+    case 'replaced': return ERROR_MESSAGES.TX_REPLACED;
+    default: return ERROR_MESSAGES.TX_NOT_CONFIRMED;
+  }
+}
+
+/**
+ * Look up a dropped entry (and any replacement we sent for it) by receipt
+ * @param {Object} entry
+ */
+async function recheckDropped(entry) {
+  const provider = getProvider();
+  for (const hash of [entry.hash, ...(entry.replacements || []).map((r) => r.hash)]) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (!receipt) continue;
+
+    const replacement = entry.replacements?.find((r) => r.hash === hash);
+    logger.tx('tracker:found', { hash: entry.hash.slice(0, 10), replacement: Boolean(replacement) });
+    settleFromReceipt(entry.hash, receipt, replacement
+      ? { replacedBy: hash, ...(replacement.kind === 'cancel' ? { status: 'cancelled' } : {}) }
+      : {});
+    return;
+  }
+}
+
+/**
+ * Resume watching transactions still pending from a previous session, and
+ * check whether any given up on as dropped were mined after all
+ */
+export function resumePendingTransactions() {
+  transactions.filter((tx) => tx.status === 'pending').forEach((tx) => {
+    scheduleStuckCheck(tx.hash, tx.replacements?.at(-1)?.sentAt ?? tx.submittedAt);
+    watch(tx.hash);
+  });
+  transactions.filter((tx) => tx.status === 'dropped').forEach((tx) => {
+    recheckDropped(tx).catch((error) => logger.debug('Dropped transaction recheck failed', error?.message));
+  });
+}
+
+/**
+ * Remove settled transactions from the list
+ */
+export function clearSettledTransactions() {
+  transactions = transactions.filter((tx) => tx.status === 'pending');
+  save();
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to list changes (useSyncExternalStore contract)
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTransactions(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current list, newest first (stable reference between changes)
+ * @returns {Array<Object>}
+ */
+export function getTransactions() {
+  return transactions;
+}
+
+/**
+ * Totals from a settled entry's decoded events
+ * @param {Object} tx - Tracked transaction
+ * @returns {Object} { tickets, minesFinalized, minesFailed, claimedWei, jackpotEthWei, jackpotNaraWei, refundWei }
+ */
+export function summarizeEvents(tx) {
+  const summary = {
+    tickets: 0,
+    minesFinalized: 0,
+    minesFailed: 0,
+    claimedWei: 0n,
+    jackpotEthWei: 0n,
+    jackpotNaraWei: 0n,
+    refundWei: 0n,
+  };
+  const batchTxs = (tx?.events || []).some((e) => e.name === 'BatchClaimed');
+
+  for (const { name, args } of tx?.events || []) {
+    if (name === 'Ticket') summary.tickets += Number(args.addedTickets);
+    if (name === 'MineFinalized') {
+      if (args.success === 'true') summary.minesFinalized++;
+      else summary.minesFailed++;
+    }
+    // BatchClaimed carries the total; don't double count its per-epoch Claimed logs
+    if (name === 'BatchClaimed') summary.claimedWei += BigInt(args.totalPayout);
+    if (name === 'Claimed' && !batchTxs) summary.claimedWei += BigInt(args.amountToken);
+    if (name === 'JackpotWon') {
+      summary.jackpotEthWei += BigInt(args.amountEth);
+      summary.jackpotNaraWei += BigInt(args.amountNara);
+    }
+    if (name === 'RefundCredited') summary.refundWei += BigInt(args.amount);
+  }
+  return summary;
+}
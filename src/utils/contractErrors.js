@@ -0,0 +1,115 @@
+/**
+ * Contract Error Decoder
+ * Decode custom-error revert data against every ABI in src/abis and map it
+ * to the CONTRACT_ERRORS catalog. Shared by the contract client (services/
+ * contractClient) and sanitizeError.
+ */
+import { ethers } from 'ethers';
+import { TOKEN_ABI, MINER_ABI, REGISTRY_ABI, LENS_ABI } from '../constants';
+import { CONTRACT_ERRORS } from '../constants/errors';
+
+// One interface with every custom error, deduplicated by selector
+const errorInterface = new ethers.Interface(
+  [...new Map(
+    [MINER_ABI, TOKEN_ABI, REGISTRY_ABI, LENS_ABI]
+      .flat()
+      .filter((item) => item.type === 'error')
+      .map((item) => [ethers.ErrorFragment.from(item).selector, item])
+  ).values()]
+);
+
+const knownNames = new Set(errorInterface.fragments.map((f) => f.name));
+
+// Formatted catalog text, so already-translated messages pass through sanitizeError
+const catalogMessages = new Set(
+  Object.values(CONTRACT_ERRORS).map((entry) => formatEntry(entry))
+);
+
+function formatEntry({ message, action }) {
+  if (!action) return message;
+  // Some messages are shared ERROR_MESSAGES strings without a full stop
+  return `${/[.!?]$/.test(message) ? message : `${message}.`} ${action}`;
+}
+
+const isHex = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(value);
+
+/**
+ * Find a decodable error name in an ethers/viem error tree
+ * @param {*} node - Error or nested cause/info/data object
+ * @param {number} depth - Recursion guard
+ * @returns {{name: string, args: Array}|null}
+ */
+function findError(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 6) return null;
+
+  // Already decoded: viem ContractFunctionRevertedError.data / ethers error.revert
+  const decodedName = node.errorName || node.revert?.name;
+  if (typeof decodedName === 'string' && knownNames.has(decodedName)) {
+    return { name: decodedName, args: [...(node.args || node.revert?.args || [])] };
+  }
+
+  // Raw revert data or a bare selector
+  for (const candidate of [node.data, node.raw, node.signature]) {
+    if (!isHex(candidate)) continue;
+    try {
+      const parsed = errorInterface.parseError(candidate);
+      if (parsed) return { name: parsed.name, args: [...parsed.args] };
+    } catch {
+      // Selector-only data cannot be fully parsed; fall back to a name lookup
+      try {
+        const fragment = errorInterface.getError(candidate.slice(0, 10));
+        if (fragment) return { name: fragment.name, args: [] };
+      } catch { /* not one of ours */ }
+    }
+  }
+
+  for (const key of ['data', 'cause', 'error', 'info', 'revert']) {
+    const found = findError(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Decode a contract custom error
+ * Falls back to an exact error-name match in the message text (some wallets
+ * only surface "reverted with custom error 'Name()'")
+ * @param {Error|Object} error - ethers or viem error
+ * @returns {{name: string, args: Array, message: string, action: string|null}|null}
+ */
+export function decodeContractError(error) {
+  if (!error) return null;
+
+  let found = findError(error);
+  if (!found) {
+    const text = [error.shortMessage, error.message].filter(Boolean).join(' ');
+    const match = text.match(/\b([A-Z][A-Za-z0-9]+)\(\)/) || text.match(/custom error '?([A-Z][A-Za-z0-9]+)/);
+    if (match && knownNames.has(match[1])) found = { name: match[1], args: [] };
+  }
+  if (!found) return null;
+
+  const entry = CONTRACT_ERRORS[found.name] || {
+    message: `Transaction rejected by the contract (${found.name}).`,
+    action: null,
+  };
+  return { ...found, message: entry.message, action: entry.action };
+}
+
+/**
+ * Decode and format a contract error as one user-facing sentence pair
+ * @param {Error|Object} error
+ * @returns {string|null} Message plus suggested action, or null if not a contract error
+ */
+export function formatContractError(error) {
+  const decoded = decodeContractError(error);
+  return decoded ? formatEntry(decoded) : null;
+}
+
+/**
+ * Whether a message is already catalog text (e.g. re-wrapped by a hook)
+ * @param {string} message
+ * @returns {boolean}
+ */
+export function isCatalogMessage(message) {
+  return catalogMessages.has(message);
+}
@@ -1,5 +1,28 @@
 const isDev = import.meta.env.DEV;
 
+// Outside the browser (e.g. the keeper script) emit one JSON object per line
+const isHeadless = typeof window === 'undefined';
+
+/**
+ * Write a structured log line for headless runs
+ * @param {string} level
+ * @param {string} message
+ * @param {any} [data]
+ */
+const writeJson = (level, message, data) => {
+  const entry = { time: new Date().toISOString(), level, message };
+  if (data instanceof Error) {
+    entry.error = data.shortMessage || data.message;
+  } else if (data !== undefined) {
+    entry.data = data;
+  }
+  const line = JSON.stringify(entry, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  (level === 'error' || level === 'warn' ? console.error : console.log)(line);
+};
+
+// Extra console-style arguments become the `data` field
+const restArgs = (args) => (args.length > 2 ? args.slice(1) : args[1]);
+
 /**
  * Application logger utility.
  * No-ops in production used to strip console usage.
@@ -9,13 +32,16 @@ export const logger = {
    * @param {...any} args
    */
   debug: (...args) => {
-    if (isDev) console.log("[DEBUG]", ...args);
+    if (!isDev) return;
+    if (isHeadless) return writeJson('debug', String(args[0]), restArgs(args));
+    console.log("[DEBUG]", ...args);
   },
 
   /**
    * @param {...any} args
    */
   info: (...args) => {
+    if (isHeadless) return writeJson('info', String(args[0]), restArgs(args));
     if (isDev) console.log("[INFO]", ...args);
   },
 
@@ -23,6 +49,7 @@ export const logger = {
    * @param {...any} args
    */
   warn: (...args) => {
+    if (isHeadless) return writeJson('warn', String(args[0]), restArgs(args));
     console.warn("[WARN]", ...args);
   },
 
@@ -31,6 +58,7 @@ export const logger = {
    * @param {Error|null} error 
    */
   error: (message, error = null) => {
+    if (isHeadless) return writeJson('error', message, error ?? undefined);
     if (isDev) {
       console.error("[ERROR]", message, error);
     } else {
@@ -43,6 +71,7 @@ export const logger = {
    * @param {any} data 
    */
   tx: (action, data) => {
+    if (isHeadless) return writeJson('tx', action, data);
     if (isDev) console.log(`[TX:${action}]`, data);
   },
 };
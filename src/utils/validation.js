@@ -4,6 +4,7 @@
  */
 import { ethers } from 'ethers';
 import { MINING_LIMITS, VALIDATION, ERROR_MESSAGES } from '../constants/limits';
+import { formatContractError, isCatalogMessage } from './contractErrors';
 
 /**
  * Validate and sanitize ETH amount input
@@ -105,14 +106,20 @@ export function sanitizeError(error) {
     return ERROR_MESSAGES.TRANSACTION_REJECTED;
   }
 
-  // Insufficient funds
-  if (message.includes('insufficient') || message.includes('INSUFFICIENT_FUNDS')) {
-    return ERROR_MESSAGES.INSUFFICIENT_BALANCE;
+  // Already translated upstream (e.g. by the contract client)
+  if (isCatalogMessage(message)) {
+    return message;
   }
 
-  // Not eligible
-  if (message.includes('not eligible') || message.includes('canMine')) {
-    return ERROR_MESSAGES.NOT_ELIGIBLE;
+  // Contract custom errors, decoded from revert data
+  const decoded = formatContractError(error);
+  if (decoded) {
+    return decoded;
+  }
+
+  // Wallet can't cover value + gas (ethers code or node message)
+  if (error.code === 'INSUFFICIENT_FUNDS' || message.includes('insufficient funds')) {
+    return ERROR_MESSAGES.INSUFFICIENT_BALANCE;
   }
 
   // Contract paused